@@ -1,14 +1,240 @@
 // Lark Base 自動構築ツール - 完全改善版
 // 元のエラーを完全に解決し、ユーザビリティを大幅に向上させたバージョン
 
-// Lark APIのベースURL
-const LARK_API_URL = 'https://open.larksuite.com/open-apis';
+// 接続先のリージョン（APIのベースURLと、Baseを開くWebのURL）
+// APIのベースURLは環境変数 LARK_API_URL / FEISHU_API_URL で上書きできます（モックサーバーでのテストなど）。
+const LARK_REGIONS = {
+    lark: { label: 'Lark（グローバル）', apiUrl: 'https://open.larksuite.com/open-apis', webUrl: 'https://www.larksuite.com' },
+    feishu: { label: 'Feishu（中国）', apiUrl: 'https://open.feishu.cn/open-apis', webUrl: 'https://www.feishu.cn' },
+};
+
+// 対応しているフィールドタイプと表示名（確認画面の選択肢にも使用）
+const FIELD_TYPE_LABELS = {
+    text: 'テキスト',
+    multiline_text: 'テキスト（複数行）',
+    number: '数値',
+    single_select: '単一選択',
+    multi_select: '複数選択',
+    date: '日付',
+    date_time: '日時',
+    checkbox: 'チェックボックス',
+    member: 'メンバー',
+    phone: '電話番号',
+    url: 'URL',
+    email: 'メール',
+    currency: '通貨',
+    rating: '評価',
+    progress: '進捗',
+    barcode: 'バーコード',
+    attachment: '添付ファイル',
+    location: '位置情報',
+    group_chat: 'グループチャット',
+    auto_number: '自動採番',
+    created_time: '作成日時',
+    modified_time: '更新日時',
+    created_by: '作成者',
+    modified_by: '更新者',
+    link: 'リンク（単方向）',
+    duplex_link: 'リンク（双方向）',
+    formula: '数式',
+    lookup: '参照（ルックアップ）',
+    rollup: '集計（ロールアップ）',
+};
+
+// 他テーブルを参照するフィールドタイプ（全テーブル作成後に追加する）
+const LINK_FIELD_TYPES = ['link', 'duplex_link'];
+
+// 他フィールドから値を算出するフィールドタイプ（参照先フィールドの作成後に追加する）
+const COMPUTED_FIELD_TYPES = ['formula', 'lookup', 'rollup'];
+// ツールでは作成せず、Larkの画面で作成する項目として報告する計算フィールド
+// （Larkの参照フィールド（type 19）をAPIで作成する形式も、リンク経由で参照する数式の書き方も確認できていないため）
+const MANUAL_FIELD_TYPES = ['lookup', 'rollup'];
+
+// 値をLarkが自動で設定するフィールドタイプ（レコードに値を書き込めないため、サンプルデータ・取り込みの対象外）
+const SYSTEM_FIELD_TYPES = ['auto_number', 'created_time', 'modified_time', 'created_by', 'modified_by'];
+
+// テーブルの主フィールド（先頭の列）にできるフィールドタイプ（テーブル作成直後に既定の主フィールドを更新するため、リンク・数式系は除く）
+const PRIMARY_FIELD_TYPES = ['text', 'multiline_text', 'number', 'date', 'date_time', 'phone', 'url', 'email', 'barcode', 'auto_number'];
+
+// 選択肢の色番号の上限（Larkの選択肢の color は 0〜54）
+const MAX_SELECT_COLOR = 54;
+
+// 集計フィールドで使用できる集計関数
+const ROLLUP_AGGREGATES = ['SUM', 'AVERAGE', 'MAX', 'MIN', 'COUNTA'];
+
+// 数値・通貨フィールドの表示形式（options.precision: 小数点以下の桁数の上限）
+const MAX_DECIMAL_PRECISION = 4;
+
+// 小数点以下を表示しない通貨（options.precision を省略した場合の桁数を0にする。それ以外の通貨は2桁）
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'IDR', 'TWD'];
+
+// 日付・日時フィールドで指定できる表示形式（options.dateFormat。時刻を含む形式は日時フィールド用）
+const DATE_FORMATS = ['yyyy/MM/dd', 'yyyy-MM-dd', 'MM/dd/yyyy', 'dd/MM/yyyy', 'MM-dd', 'yyyy/MM/dd HH:mm', 'yyyy-MM-dd HH:mm'];
+
+// 評価フィールドの記号（options.symbol）と最大値（options.max）の上限
+const RATING_SYMBOLS = ['star', 'heart', 'thumbsup', 'fire', 'smile', 'lightning', 'flower', 'number'];
+const MAX_RATING = 10;
+
+// 自動採番の番号に含める作成日の形式（options.dateFormat）と連番の桁数（options.digits）の上限
+const AUTO_NUMBER_DATE_FORMATS = ['yyyyMMdd', 'yyyyMM', 'yyyy', 'MMdd', 'MM', 'dd'];
+const MAX_AUTO_NUMBER_DIGITS = 9;
+
+// AIや手書きのスキーマでよく使われる別名 → ツールのタイプ名（空白・ハイフンは _ に揃えてから引く）
+const FIELD_TYPE_ALIASES = {
+    string: 'text',
+    str: 'text',
+    varchar: 'text',
+    textarea: 'multiline_text',
+    long_text: 'multiline_text',
+    multiline: 'multiline_text',
+    memo: 'multiline_text',
+    int: 'number',
+    integer: 'number',
+    float: 'number',
+    double: 'number',
+    decimal: 'number',
+    numeric: 'number',
+    select: 'single_select',
+    singleselect: 'single_select',
+    dropdown: 'single_select',
+    enum: 'single_select',
+    multiselect: 'multi_select',
+    tags: 'multi_select',
+    datetime: 'date_time',
+    timestamp: 'date_time',
+    bool: 'checkbox',
+    boolean: 'checkbox',
+    user: 'member',
+    person: 'member',
+    tel: 'phone',
+    phone_number: 'phone',
+    mail: 'email',
+    hyperlink: 'url',
+    money: 'currency',
+    price: 'currency',
+    star: 'rating',
+    progress_bar: 'progress',
+    qrcode: 'barcode',
+    qr_code: 'barcode',
+    file: 'attachment',
+    files: 'attachment',
+    image: 'attachment',
+    geolocation: 'location',
+    coordinates: 'location',
+    chat: 'group_chat',
+    autonumber: 'auto_number',
+    serial: 'auto_number',
+    sequence: 'auto_number',
+    created_at: 'created_time',
+    updated_at: 'modified_time',
+    updated_time: 'modified_time',
+    modified_at: 'modified_time',
+    creator: 'created_by',
+    created_user: 'created_by',
+    updated_by: 'modified_by',
+    modified_user: 'modified_by',
+    relation: 'link',
+    two_way_link: 'duplex_link',
+};
+
+// ビューのタイプ（Larkの view_type）と表示名（ビュー作成APIはカレンダーに対応していない）
+const VIEW_TYPE_LABELS = {
+    grid: 'グリッド',
+    kanban: 'カンバン',
+    gantt: 'ガント',
+    gallery: 'ギャラリー',
+    form: 'フォーム'
+};
+
+// ビュータイプの別名 → ツールのタイプ名（末尾の view は除いてから引く）
+const VIEW_TYPE_ALIASES = {
+    table: 'grid',
+    sheet: 'grid',
+    board: 'kanban',
+    timeline: 'gantt',
+    card: 'gallery',
+    cards: 'gallery',
+    survey: 'form',
+    'グリッド': 'grid',
+    'カンバン': 'kanban',
+    'ガント': 'gantt',
+    'ギャラリー': 'gallery',
+    'フォーム': 'form'
+};
+
+// 1テーブルあたりに作成するビューの上限（Larkの既定のグリッドビューは含まない）
+const MAX_VIEWS_PER_TABLE = 5;
+
+// ビューのフィルター条件で使える演算子（Larkの operator）と、記号などの別名
+const VIEW_FILTER_OPERATORS = ['is', 'isNot', 'contains', 'doesNotContain', 'isEmpty', 'isNotEmpty', 'isGreater', 'isGreaterEqual', 'isLess', 'isLessEqual'];
+const VIEW_FILTER_OPERATOR_ALIASES = {
+    '=': 'is',
+    '==': 'is',
+    '!=': 'isNot',
+    '<>': 'isNot',
+    '>': 'isGreater',
+    '>=': 'isGreaterEqual',
+    '<': 'isLess',
+    '<=': 'isLessEqual'
+};
+
+// 値を指定しないフィルター演算子
+const VALUELESS_FILTER_OPERATORS = ['isEmpty', 'isNotEmpty'];
+
+// カンバンのグループ化に使えるフィールドタイプ
+const VIEW_GROUP_FIELD_TYPES = ['single_select', 'member'];
+
+// ガントの日付に使えるフィールドタイプ
+const VIEW_DATE_FIELD_TYPES = ['date', 'date_time', 'created_time', 'modified_time'];
+
+// スキーマの上限（Base名・テーブル名・フィールド名の文字数、AIが設計する1テーブルあたりのフィールド数）
+const MAX_NAME_LENGTH = 100;
+const MAX_FIELDS_PER_TABLE = 15;
+
+// Larkのフィールドタイプ番号 → ツールのタイプ名（getFieldProperty の逆引き。エクスポートで使用）
+const LARK_FIELD_TYPE_NAMES = {
+    1: 'text',
+    2: 'number',
+    3: 'single_select',
+    4: 'multi_select',
+    5: 'date',
+    7: 'checkbox',
+    11: 'member',
+    13: 'phone',
+    15: 'url',
+    17: 'attachment',
+    18: 'link',
+    20: 'formula',
+    21: 'duplex_link',
+    22: 'location',
+    23: 'group_chat',
+    1001: 'created_time',
+    1002: 'modified_time',
+    1003: 'created_by',
+    1004: 'modified_by',
+    1005: 'auto_number',
+};
+
+// 数値・テキスト型として返されるフィールドの ui_type → ツールのタイプ名（type より優先して判定する）
+const LARK_UI_TYPE_NAMES = {
+    Email: 'email',
+    Currency: 'currency',
+    Rating: 'rating',
+    Progress: 'progress',
+    Barcode: 'barcode',
+    GroupChat: 'group_chat',
+};
 
 /**
  * Cloudflare Pages Function
  * すべてのリクエストを処理します。
  * - GETリクエストにはHTML UIを返します。
- * - POST /api/create にはAPIロジックを実行します。
+ * - POST /api/create にはAPIロジックを実行します。schema（JSON / YAML）を指定した場合はAIを使わずに構築します。
+ * - POST /api/jobs は /api/create と同じく構築をリクエスト内で完了まで実行します（Pages Functions ではレスポンス返却後の処理が
+ *   約30秒で打ち切られ、大きな構築が途中で止まるため）。結果の buildId を使い GET /api/jobs/:id でビルド記録を返します。
+ * - POST /api/jobs/:id/retry は失敗した項目のみを同じBaseに対して再試行します。
+ * - GET /api/export?app_token=... は既存Baseの構成をツールのスキーマ形式で返します。
+ * 構築・エクスポートでは region（lark / feishu）と larkAppId（lark_app_id）で使用するLarkアプリを選べます。
  */
 export async function onRequest({ request, env }) {
     const url = new URL(request.url);
@@ -18,1148 +244,5585 @@ export async function onRequest({ request, env }) {
         return handleApiPost({ request, env });
     }
 
+    // ドライラン: AIの設計結果と実行予定のAPI呼び出しのみを返す
+    if (request.method === 'POST' && url.pathname === '/api/preview') {
+        return handleApiPost({ request, env, dryRun: true });
+    }
+
+    // ビルド記録を残して構築（/api/create と同じ処理）
+    if (request.method === 'POST' && url.pathname === '/api/jobs') {
+        return handleApiPost({ request, env });
+    }
+
+    // 失敗した項目のみ同じBaseに対して再試行
+    const retryMatch = url.pathname.match(/^\/api\/jobs\/([\w-]+)\/retry$/);
+    if (request.method === 'POST' && retryMatch) {
+        return handleRetryJob({ request, env, jobId: retryMatch[1] });
+    }
+
+    // 既存Baseの構成をスキーマとしてエクスポート
+    if (request.method === 'GET' && url.pathname === '/api/export') {
+        return handleExport({
+            env,
+            appToken: url.searchParams.get('app_token'),
+            region: url.searchParams.get('region'),
+            larkAppId: url.searchParams.get('lark_app_id')
+        });
+    }
+
+    // ジョブの状況を取得
+    const jobMatch = url.pathname.match(/^\/api\/jobs\/([\w-]+)$/);
+    if (request.method === 'GET' && jobMatch) {
+        return handleGetJob({ env, jobId: jobMatch[1] });
+    }
+
     // それ以外のすべてのリクエスト（例: GET /）にはUIを表示
-    return serveHtml();
+    return serveHtml(env);
 }
 
 /**
  * APIのロジックを処理する関数（完全改善版）
+ * dryRun が指定された場合はLarkへ書き込みを行わず、構築計画のみを返します。
+ * stream が指定された場合（または Accept: application/x-ndjson）は進捗イベントを逐次返します。
  */
-async function handleApiPost({ request, env }) {
+async function handleApiPost({ request, env, dryRun = false }) {
     try {
-        const { prompt } = await request.json();
-        if (!prompt || prompt.trim().length === 0) {
-            throw new Error('指示内容を入力してください。');
-        }
-
-        // 入力内容の検証
-        if (prompt.length > 2000) {
-            throw new Error('指示内容が長すぎます。2000文字以内で入力してください。');
-        }
-
-        // --- Step 1: AIにBase名とテーブル構成を設計させる ---
-        const aiResponse = await generateSchemaFromAI(prompt, env.GEMINI_API_KEY);
-        const { baseName, tables } = aiResponse;
-
-        if (!baseName || !tables || tables.length === 0) {
-            throw new Error('AIによるBase構成の生成に失敗しました。指示内容をより具体的にしてください。');
-        }
+        const body = await readRequestBody(request);
 
-        // テーブル数の制限
-        if (tables.length > 10) {
-            throw new Error('テーブル数が多すぎます。10個以下になるよう指示内容を調整してください。');
+        if (dryRun || body.dryRun === true) {
+            return jsonResponse(await runCreate(body, env, { dryRun: true }));
         }
-        
-        const tenantAccessToken = await getTenantAccessToken(env);
 
-        // --- Step 2: AIの設計に基づいて新しいBaseを作成 ---
-        const createBaseRes = await createBaseApp(tenantAccessToken, baseName);
-        const newAppToken = createBaseRes.data.app.app_token;
-        const newBaseUrl = createBaseRes.data.app.url;
-
-        const results = [];
-        
-        // --- Step 3: 作成されたBase内にテーブルとフィールドを構築 ---
-        for (let i = 0; i < tables.length; i++) {
-            const table = tables[i];
-            try {
-                // テーブル作成
-                const createTableRes = await apiCall(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables`, { 
-                    method: 'POST', 
-                    body: { name: table.name } 
-                });
-                const tableId = createTableRes.data.table_id;
-                
-                await sleep(500); // Rate limit対策
-
-                // フィールド作成
-                let fieldsCreated = 0;
-                for (const field of table.fields) {
-                    try {
-                        const fieldPayload = getFieldProperty(field.type, field.options || {});
-                        if (!fieldPayload) {
-                            console.warn(`Unsupported field type: ${field.type}`);
-                            continue;
-                        }
-                        
-                        await apiCall(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables/${tableId}/fields`, {
-                            method: 'POST',
-                            body: { 
-                                field_name: field.name, 
-                                type: fieldPayload.type, 
-                                property: fieldPayload.property 
-                            }
-                        });
-                        fieldsCreated++;
-                        await sleep(300); // Rate limit対策
-                    } catch (fieldError) {
-                        console.warn(`Field creation failed for ${field.name}:`, fieldError.message);
-                    }
-                }
-                
-                // サンプルデータ追加
-                let recordsAdded = 0;
-                if (table.sampleDataCount > 0 && fieldsCreated > 0) {
-                    try {
-                        const addRecordsRes = await addSampleRecords(
-                            tenantAccessToken, 
-                            newAppToken, 
-                            tableId, 
-                            table.fields, 
-                            Math.min(table.sampleDataCount, 20) // 最大20件に制限
-                        );
-                        recordsAdded = addRecordsRes.data?.records?.length || 0;
-                    } catch (recordError) {
-                        console.warn(`Sample data creation failed for table ${table.name}:`, recordError.message);
-                    }
-                }
-                
-                results.push({ 
-                    tableName: table.name, 
-                    status: 'Success', 
-                    tableId, 
-                    fieldsCreated,
-                    recordsAdded 
-                });
-                
-            } catch (tableError) {
-                console.error(`Table creation failed for ${table.name}:`, tableError);
-                results.push({ 
-                    tableName: table.name, 
-                    status: 'Failed', 
-                    error: tableError.message 
-                });
-            }
+        // 構築はビルド記録を残して実行し、失敗した項目を後から再試行できるようにする
+        const run = emit => runCreate(body, env, { emit });
+        if (wantsStream(request, body)) {
+            return streamBuild(env, run);
         }
 
-        return new Response(JSON.stringify({
-            success: true,
-            message: 'Baseの作成が完了しました！',
-            baseName: baseName,
-            baseUrl: newBaseUrl,
-            summary: {
-                totalTables: tables.length,
-                successfulTables: results.filter(r => r.status === 'Success').length,
-                failedTables: results.filter(r => r.status === 'Failed').length
-            },
-            details: results
-        }, null, 2), { 
-            headers: { 'Content-Type': 'application/json' } 
-        });
+        return jsonResponse(await runTrackedBuild(env, run));
 
     } catch (error) {
         console.error("Error details:", error);
         
-        // ユーザーフレンドリーなエラーメッセージを生成
-        let userMessage = error.message;
-        if (error.message.includes('GEMINI_API_KEY')) {
-            userMessage = 'AI機能の設定に問題があります。管理者にお問い合わせください。';
-        } else if (error.message.includes('tenant_access_token')) {
-            userMessage = 'Lark APIの認証に失敗しました。設定を確認してください。';
-        } else if (error.message.includes('rate limit') || error.message.includes('429')) {
-            userMessage = 'APIの利用制限に達しました。しばらく待ってから再試行してください。';
-        }
-        
         return new Response(JSON.stringify({ 
             success: false,
-            error: userMessage,
+            error: toUserMessage(error),
             timestamp: new Date().toISOString()
         }, null, 2), { 
-            status: 500, 
+            status: error.status || 500, 
             headers: { 'Content-Type': 'application/json' } 
         });
     }
 }
 
 /**
- * フロントエンドのHTML UIを生成する関数（完全改善版）
+ * 進捗イベントのストリーミングを要求されているかどうか
  */
-function serveHtml() {
-    const html = '
-    <!DOCTYPE html>
-    <html lang="ja">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Lark Base 自動構築ツール (AI対応版)</title>
-        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
-        <style>
-            :root {
-                --primary-gradient: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                --secondary-gradient: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
-                --success-gradient: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%);
-                --error-gradient: linear-gradient(135deg, #fa709a 0%, #fee140 100%);
-                --warning-gradient: linear-gradient(135deg, #ffecd2 0%, #fcb69f 100%);
-                --glass-bg: rgba(255, 255, 255, 0.25);
-                --glass-border: rgba(255, 255, 255, 0.18);
-                --text-primary: #2d3748;
-                --text-secondary: #4a5568;
-                --text-muted: #718096;
-                --shadow-sm: 0 1px 3px rgba(0, 0, 0, 0.12), 0 1px 2px rgba(0, 0, 0, 0.24);
-                --shadow-md: 0 4px 6px rgba(0, 0, 0, 0.07), 0 2px 4px rgba(0, 0, 0, 0.06);
-                --shadow-lg: 0 10px 15px rgba(0, 0, 0, 0.1), 0 4px 6px rgba(0, 0, 0, 0.05);
-                --shadow-xl: 0 20px 25px rgba(0, 0, 0, 0.1), 0 10px 10px rgba(0, 0, 0, 0.04);
-            }
+function wantsStream(request, body) {
+    return body.stream === true ||
+        (request.headers.get('Accept') || '').includes('application/x-ndjson');
+}
 
-            * { 
-                box-sizing: border-box; 
-                margin: 0; 
-                padding: 0; 
-            }
+/**
+ * 構築処理の進捗をNDJSON（1行1イベントのJSON）でストリーミングする
+ * 最後に complete（結果を含む）または error イベントを送信して終了します。
+ */
+function streamBuild(env, run, job = createJobRecord()) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
 
-            body { 
-                font-family: 'Inter', -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; 
-                line-height: 1.6; 
-                background: var(--primary-gradient);
-                min-height: 100vh;
-                color: var(--text-primary);
-                overflow-x: hidden;
-            }
+    // クライアントが切断しても構築処理自体は止めない
+    const emit = (event) => writer.write(encoder.encode(JSON.stringify(event) + '\n')).catch(() => {});
 
-            .background-animation {
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                z-index: -1;
-                background: var(--primary-gradient);
-            }
+    (async () => {
+        try {
+            const result = await runTrackedBuild(env, run, emit, job);
+            await emit({ type: 'complete', result });
+        } catch (error) {
+            console.error("Error details:", error);
+            await emit({ type: 'error', error: toUserMessage(error), timestamp: new Date().toISOString() });
+        } finally {
+            await writer.close().catch(() => {});
+        }
+    })();
 
-            .background-animation::before {
-                content: '';
-                position: absolute;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><defs><pattern id="grain" width="100" height="100" patternUnits="userSpaceOnUse"><circle cx="25" cy="25" r="1" fill="rgba(255,255,255,0.1)"/><circle cx="75" cy="75" r="1" fill="rgba(255,255,255,0.1)"/><circle cx="50" cy="10" r="0.5" fill="rgba(255,255,255,0.05)"/><circle cx="10" cy="60" r="0.5" fill="rgba(255,255,255,0.05)"/><circle cx="90" cy="40" r="0.5" fill="rgba(255,255,255,0.05)"/></pattern></defs><rect width="100" height="100" fill="url(%23grain)"/></svg>');
-                animation: float 20s ease-in-out infinite;
-            }
+    return new Response(readable, {
+        headers: {
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Cache-Control': 'no-cache'
+        }
+    });
+}
 
-            @keyframes float {
-                0%, 100% { transform: translateY(0px) rotate(0deg); }
-                50% { transform: translateY(-20px) rotate(1deg); }
-            }
+/**
+ * リクエスト内容からスキーマを確定させ、ドライランの計画作成またはBase構築を行う
+ * emit には進捗イベントを受け取る関数を渡します。
+ */
+async function runCreate(body, env, { dryRun = false, emit = () => {} } = {}) {
+    // 使用するLarkアプリ（追加先BaseのURLからリージョンが分かる場合はそれに合わせる）
+    const lark = { region: body.region || detectLarkRegion(body.baseUrl), appId: body.larkAppId };
 
-            .container { 
-                max-width: 1000px;
-                margin: 0 auto;
-                padding: 2rem;
-                position: relative;
-                z-index: 1;
-            }
+    // 既存Baseへの追加の場合は、先に現在の構成を読み込んでAIに渡す
+    const target = await loadTargetBase(body, env, lark);
+    const { baseName, tables, warnings, imports } = await resolveSchema(body, env, target);
+    emit(schemaEvent(baseName, tables, imports));
 
-            .main-card {
-                background: var(--glass-bg);
-                backdrop-filter: blur(20px);
-                border: 1px solid var(--glass-border);
-                border-radius: 24px;
-                padding: 3rem;
-                box-shadow: var(--shadow-xl);
-                position: relative;
-                overflow: hidden;
-            }
+    // ドライランの場合は書き込みを行わずに計画を返す（既存Baseへの追加時も読み取りのみ）
+    if (dryRun) {
+        const plan = planBuild(baseName, tables, target, imports);
+        return {
+            success: true,
+            dryRun: true,
+            baseName,
+            tables,
+            target: target && { appToken: target.appToken, baseUrl: target.baseUrl, tables: Object.keys(target.structure) },
+            warnings,
+            plan
+        };
+    }
+    
+    const tenantAccessToken = target?.tenantAccessToken || await getTenantAccessToken(env, lark);
+    const { baseUrl, results, rollback, durationMs } = await buildBase(tenantAccessToken, baseName, tables, {
+        emit,
+        target,
+        imports,
+        onFailure: body.onFailure
+    });
 
-            .main-card::before {
-                content: '';
-                position: absolute;
-                top: 0;
-                left: 0;
-                right: 0;
-                height: 1px;
-                background: linear-gradient(90deg, transparent, rgba(255,255,255,0.4), transparent);
-            }
+    const message = target ? '既存のBaseへの追加が完了しました！' : 'Baseの作成が完了しました！';
+    return { ...summarizeBuild(message, baseName, baseUrl, tables, results, rollback, durationMs), warnings };
+}
 
-            .header {
-                text-align: center;
-                margin-bottom: 3rem;
-            }
+/**
+ * リクエストで指定された既存Base（appToken または baseUrl）の構成を読み込む
+ * 指定が無い場合は null を返し、新しいBaseを作成します。
+ * lark には使用するLarkアプリ（{ region, appId }）を指定します。
+ */
+async function loadTargetBase(body, env, lark = {}) {
+    const appToken = parseAppToken(body.appToken || body.baseUrl);
+    if (!appToken) {
+        return null;
+    }
 
-            .header h1 { 
-                font-size: 3rem; 
-                font-weight: 700;
-                background: linear-gradient(135deg, #667eea, #764ba2);
-                -webkit-background-clip: text;
-                -webkit-text-fill-color: transparent;
-                background-clip: text;
-                margin-bottom: 0.5rem;
-                letter-spacing: -0.02em;
-            }
+    const tenantAccessToken = await getTenantAccessToken(env, lark);
+    const structure = await loadBaseStructure(tenantAccessToken, appToken);
+    let baseName = null;
+    try {
+        const appRes = await apiCall(tenantAccessToken, `/base/v1/apps/${appToken}`, { method: 'GET' });
+        baseName = appRes.data?.app?.name || null;
+    } catch (error) {
+        console.warn(`Failed to load base name for ${appToken}:`, error.message);
+    }
 
-            .header .subtitle {
-                font-size: 1.25rem;
-                color: var(--text-secondary);
-                font-weight: 400;
-                opacity: 0.8;
-            }
+    return {
+        appToken,
+        baseUrl: body.baseUrl || getBaseUrl(tenantAccessToken, appToken),
+        baseName,
+        structure,
+        tenantAccessToken
+    };
+}
 
-            .feature-grid {
-                display: grid;
-                grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-                gap: 1.5rem;
-                margin-bottom: 3rem;
-            }
+/**
+ * Base URL または app_token から app_token を取り出す
+ * 例: https://xxx.larksuite.com/base/bascnXXXX?table=tblYYYY（Feishuの場合は https://xxx.feishu.cn/base/...）→ bascnXXXX
+ */
+function parseAppToken(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+        return null;
+    }
+    const urlMatch = text.match(/\/base\/([A-Za-z0-9]+)/);
+    if (urlMatch) {
+        return urlMatch[1];
+    }
+    if (/^[A-Za-z0-9]+$/.test(text)) {
+        return text;
+    }
+    throw new Error('既存BaseのURLまたはapp_tokenの形式が正しくありません（Wiki内のBaseの場合は、Baseを開いたときのURLを指定してください）。');
+}
 
-            .feature-card {
-                background: rgba(255, 255, 255, 0.1);
-                border: 1px solid rgba(255, 255, 255, 0.2);
-                border-radius: 16px;
-                padding: 1.5rem;
-                text-align: center;
-                transition: all 0.3s ease;
-                backdrop-filter: blur(10px);
-            }
+/**
+ * 記録済みのスキーマと進捗をもとに、同じBaseに対して失敗した項目だけを構築し直す
+ * 最初の構築と同じLarkアプリ（resume.region / resume.larkAppId）を使用します。
+ */
+async function resumeBuild(schema, resume, env, { emit = () => {}, onFailure } = {}) {
+    const { baseName, tables } = schema;
+    emit(schemaEvent(baseName, tables, resume.imports));
 
-            .feature-card:hover {
-                transform: translateY(-5px);
-                box-shadow: var(--shadow-lg);
-                background: rgba(255, 255, 255, 0.15);
-            }
+    const tenantAccessToken = await getTenantAccessToken(env, { region: resume.region, appId: resume.larkAppId });
+    const { baseUrl, results, rollback, durationMs } = await buildBase(tenantAccessToken, baseName, tables, {
+        emit,
+        resume,
+        imports: resume.imports,
+        onFailure
+    });
 
-            .feature-icon {
-                font-size: 2.5rem;
-                margin-bottom: 1rem;
-                display: block;
-            }
+    return summarizeBuild('失敗した項目の再試行が完了しました！', baseName, baseUrl, tables, results, rollback, durationMs);
+}
 
-            .feature-title {
-                font-size: 1.1rem;
-                font-weight: 600;
-                color: white;
-                margin-bottom: 0.5rem;
-            }
+/**
+ * スキーマ確定時の進捗イベント（ビルド記録の保存用にスキーマ全体も含める）
+ */
+function schemaEvent(baseName, tables, imports = null) {
+    return {
+        type: 'schema_generated',
+        baseName,
+        schema: { baseName, tables },
+        // 取り込む行はビルド記録にだけ保存し（再試行で失敗したバッチを追加し直すため）、クライアントには送らない
+        ...(imports ? { imports } : {}),
+        tables: tables.map(table => ({
+            name: table.name,
+            fieldCount: table.fields.length,
+            sampleDataCount: table.sampleDataCount
+        }))
+    };
+}
 
-            .feature-desc {
-                font-size: 0.9rem;
-                color: rgba(255, 255, 255, 0.8);
-                line-height: 1.5;
-            }
+/**
+ * 構築結果のレスポンスを組み立てる
+ * ロールバックした場合は success: false とし、削除した内容を rollback に含めます。
+ * durationMs は構築にかかった実時間（ミリ秒）です。
+ */
+function summarizeBuild(message, baseName, baseUrl, tables, results, rollback = null, durationMs = null) {
+    const failedTables = results.filter(r => r.status === 'Failed').length;
 
-            .info-section {
-                background: rgba(255, 255, 255, 0.1);
-                border: 1px solid rgba(255, 255, 255, 0.2);
-                border-radius: 16px;
-                padding: 2rem;
-                margin-bottom: 2rem;
-                backdrop-filter: blur(10px);
-            }
+    if (rollback) {
+        return {
+            success: false,
+            error: `構築中にエラーが発生したため、作成した内容を削除しました（${describeRollback(rollback)}）。`,
+            baseName: baseName,
+            baseUrl: rollback.baseDeleted ? null : baseUrl,
+            summary: {
+                totalTables: tables.length,
+                successfulTables: results.filter(r => r.status === 'Success').length,
+                failedTables,
+                rolledBack: true,
+                retryable: false
+            },
+            rollback,
+            details: forgetRolledBackRecords(results, rollback)
+        };
+    }
 
-            .info-section h3 {
-                color: white;
-                font-size: 1.3rem;
-                font-weight: 600;
-                margin-bottom: 1rem;
-                display: flex;
-                align-items: center;
-                gap: 0.5rem;
-            }
+    return {
+        success: true,
+        message,
+        baseName: baseName,
+        baseUrl: baseUrl,
+        summary: {
+            totalTables: tables.length,
+            successfulTables: results.filter(r => r.status === 'Success').length,
+            failedTables,
+            // 失敗したテーブル・フィールド・レコードバッチ・ビューがあれば再試行できる
+            retryable: failedTables > 0 || results.some(r => r.fieldsFailed > 0 || r.recordBatchesFailed > 0 || r.viewsFailed > 0),
+            ...(durationMs !== null ? { durationMs, duration: formatDuration(durationMs) } : {})
+        },
+        details: results
+    };
+}
 
-            .tips-grid {
-                display: grid;
-                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                gap: 1rem;
-            }
+/**
+ * プロンプト（AI設計）または編集済みスキーマから、構築対象のスキーマを確定させる
+ */
+async function resolveSchema(body, env, target = null) {
+    const { prompt, schema: editedSchema } = body;
+    // CSV / Excel ファイルが添付されている場合は、その行をサンプルデータの代わりに取り込む
+    const sources = body.files?.length > 0 ? await parseImportFiles(body.files) : null;
 
-            .tip-item {
-                background: rgba(255, 255, 255, 0.05);
-                border-radius: 12px;
-                padding: 1rem;
-                border-left: 3px solid #4facfe;
-            }
+    let aiResponse;
+    if (editedSchema) {
+        // 確認画面で編集済みの設計や、ユーザーが用意したスキーマ（JSON / YAML）はAIを経由せずにそのまま使用
+        aiResponse = editedSchema;
+    } else if (sources) {
+        // 列の値からタイプを推定し、指定があればAIに見直してもらう
+        if (prompt && prompt.length > 2000) {
+            throw new Error('指示内容が長すぎます。2000文字以内で入力してください。');
+        }
+        aiResponse = inferSchemaFromSources(sources);
+        if (body.refine === true) {
+            aiResponse = await refineImportedSchema(aiResponse, sources, prompt, resolveAiProvider(env, body));
+        }
+    } else {
+        if (!prompt || prompt.trim().length === 0) {
+            throw new Error('指示内容を入力してください。');
+        }
 
-            .tip-title {
-                font-weight: 600;
-                color: white;
-                margin-bottom: 0.5rem;
-                font-size: 0.95rem;
-            }
+        // 入力内容の検証
+        if (prompt.length > 2000) {
+            throw new Error('指示内容が長すぎます。2000文字以内で入力してください。');
+        }
 
-            .tip-desc {
-                color: rgba(255, 255, 255, 0.8);
-                font-size: 0.85rem;
-                line-height: 1.4;
-            }
+        // --- Step 1: AIにBase名とテーブル構成を設計させる ---
+        aiResponse = await generateSchemaFromAI(prompt, resolveAiProvider(env, body), target?.structure);
+    }
+    // 名前・タイプ・上限を揃え、調整した内容は警告として返す（フィールド数の上限はAIの設計にのみ適用する）
+    let { baseName, tables, warnings } = normalizeSchema(aiResponse, { limitFields: !editedSchema && !sources });
 
-            .form-section {
-                margin-bottom: 2rem;
-            }
+    if (!baseName || !tables || tables.length === 0) {
+        throw new Error('AIによるBase構成の生成に失敗しました。指示内容をより具体的にしてください。');
+    }
 
-            .form-group {
-                margin-bottom: 1.5rem;
-            }
+    if (target) {
+        const extension = planExtension(tables, target.structure);
+        tables = extension.tables;
+        warnings = [...warnings, ...extension.warnings];
+        baseName = target.baseName || baseName;
+        if (tables.length === 0) {
+            throw new Error('既存のBaseに追加するテーブル・フィールドがありません。指示内容を見直してください。');
+        }
+    }
 
-            label { 
-                display: block; 
-                font-weight: 600; 
-                margin-bottom: 0.75rem; 
-                color: white;
-                font-size: 1.1rem;
-                display: flex;
-                align-items: center;
-                gap: 0.5rem;
-            }
+    // テーブル数の制限
+    if (tables.length > 10) {
+        throw new Error('テーブル数が多すぎます。10個以下になるよう指示内容を調整してください。');
+    }
 
-            .textarea-container {
-                position: relative;
-            }
+    let imports = null;
+    if (sources) {
+        const imported = buildImportRecords(tables, sources);
+        imports = imported.records;
+        warnings = [...warnings, ...imported.warnings];
+        tables = tables.map(table => imports[table.name]
+            ? { ...table, importedRows: imports[table.name].length, sampleDataCount: 0 }
+            : table);
+    }
 
-            textarea { 
-                width: 100%; 
-                height: 200px; 
-                padding: 1.5rem; 
-                border-radius: 16px; 
-                border: 2px solid rgba(255, 255, 255, 0.2); 
-                font-size: 16px; 
-                resize: vertical;
-                transition: all 0.3s ease;
-                font-family: inherit;
-                background: rgba(255, 255, 255, 0.1);
-                color: white;
-                backdrop-filter: blur(10px);
-            }
+    return { baseName, tables, warnings, imports };
+}
 
-            textarea::placeholder {
-                color: rgba(255, 255, 255, 0.6);
+/**
+ * 既存Baseへの追加分として設計を調整する
+ * - 既存テーブルと同名のテーブルは、そのテーブルへのフィールド追加として扱う（サンプルデータは追加しない）
+ * - 既存フィールドと同名のフィールドは作成しない（ビューだけを追加するテーブルは残す）
+ */
+function planExtension(tables, structure) {
+    const warnings = [];
+    const prepared = tables.map(table => {
+        const current = structure[table.name];
+        if (!current) {
+            return { ...table, extendsExisting: false };
+        }
+        const fields = table.fields.filter(field => {
+            if (current.fields[field.name]) {
+                warnings.push(`テーブル「${table.name}」には既にフィールド「${field.name}」があるため、作成しません。`);
+                return false;
             }
+            return true;
+        });
+        if (table.sampleDataCount > 0) {
+            warnings.push(`既存テーブル「${table.name}」にはサンプルデータを追加しません。`);
+        }
+        return { ...table, fields, sampleDataCount: 0, extendsExisting: true };
+    });
+    return { tables: prepared.filter(table => !table.extendsExisting || table.fields.length > 0 || table.views?.length > 0), warnings };
+}
 
-            textarea:focus { 
-                border-color: #4facfe; 
-                outline: 0; 
-                box-shadow: 0 0 0 0.25rem rgba(79, 172, 254, 0.25);
-                transform: translateY(-2px);
-                background: rgba(255, 255, 255, 0.15);
-            }
+/**
+ * Baseを作成し、テーブル・フィールド・サンプルデータ・ビューを構築する
+ * テーブル・フィールド・レコードバッチ・ビューの完了/失敗ごとに emit へイベントを通知します。
+ * resume を指定すると既存のBase（resume.appToken）に対して構築を再開し、
+ * 既に存在するテーブル・フィールド・ビュー（同名）と追加済みのサンプルレコードはスキップします。
+ * target を指定すると新しいBaseを作らず、既存のBase（target.appToken）にテーブル・フィールドを追加します。
+ * imports（テーブル名 → レコード一覧）を指定したテーブルには、サンプルデータの代わりにそのレコードを追加します。
+ * onFailure: 'rollback' の場合、失敗があれば今回作成したものをすべて削除します。
+ */
+async function buildBase(tenantAccessToken, baseName, tables, { emit = () => {}, resume = null, target = null, imports = null, onFailure = 'keep' } = {}) {
+    // 今回作成したオブジェクト（ロールバック時に逆順で削除する）
+    const created = [];
+    const rollbackIfRequested = async () => {
+        if (onFailure !== 'rollback' || created.length === 0) {
+            return null;
+        }
+        emit({ type: 'rollback_started', objects: created.length });
+        const rollback = await rollbackCreated(tenantAccessToken, created);
+        emit({ type: 'rollback_completed', removed: rollback.removed.length, failed: rollback.failed.length });
+        return rollback;
+    };
 
-            .char-counter {
-                position: absolute;
-                bottom: 1rem;
-                right: 1rem;
-                font-size: 0.85rem;
-                color: rgba(255, 255, 255, 0.6);
-                background: rgba(0, 0, 0, 0.3);
-                padding: 0.25rem 0.5rem;
-                border-radius: 6px;
-                backdrop-filter: blur(5px);
-            }
+    const startedAt = Date.now();
+    try {
+        const build = await runBuildSteps(tenantAccessToken, baseName, tables, { emit, resume, target, imports, created });
+        // ビューの失敗は表示だけの問題で再試行できるため、ロールバックの対象にしない
+        const hasFailure = build.results.some(r => r.status === 'Failed' || r.fieldsFailed > 0 || r.recordBatchesFailed > 0);
+        const rollback = hasFailure ? await rollbackIfRequested() : null;
+        return { ...build, rollback, durationMs: Date.now() - startedAt };
+    } catch (error) {
+        const rollback = await rollbackIfRequested();
+        if (rollback) {
+            error.message += `（${describeRollback(rollback)}）`;
+            error.rollback = rollback;
+        }
+        throw error;
+    }
+}
 
-            .submit-button { 
-                background: var(--success-gradient);
-                color: white; 
-                padding: 1.25rem 2rem; 
-                border: none; 
-                border-radius: 16px; 
-                cursor: pointer; 
-                font-size: 1.1rem; 
-                font-weight: 600; 
-                width: 100%; 
-                transition: all 0.3s ease;
-                position: relative;
-                overflow: hidden;
-                box-shadow: var(--shadow-md);
-                text-transform: none;
-                letter-spacing: 0.025em;
-            }
+/**
+ * buildBase の本体。作成に成功したオブジェクトを created に記録します。
+ */
+async function runBuildSteps(tenantAccessToken, baseName, tables, { emit, resume, target, imports, created }) {
+    let newAppToken;
+    let newBaseUrl;
+    // 再開・追加先のBaseに既に存在するテーブル: テーブル名 → { tableId, fields: { フィールド名: field_id } }
+    let existing = {};
 
-            .submit-button::before {
-                content: '';
-                position: absolute;
-                top: 0;
-                left: -100%;
-                width: 100%;
-                height: 100%;
-                background: linear-gradient(90deg, transparent, rgba(255,255,255,0.2), transparent);
-                transition: left 0.5s;
-            }
+    const existingBase = resume || target;
+    if (existingBase) {
+        newAppToken = existingBase.appToken;
+        newBaseUrl = existingBase.baseUrl || getBaseUrl(tenantAccessToken, newAppToken);
+        existing = await loadBaseStructure(tenantAccessToken, newAppToken);
+        emit({ type: resume ? 'base_resumed' : 'base_extended', baseName, appToken: newAppToken, baseUrl: newBaseUrl, ...describeLarkApp(tenantAccessToken) });
+    } else {
+        // --- Step 2: AIの設計に基づいて新しいBaseを作成 ---
+        const createBaseRes = await createBaseApp(tenantAccessToken, baseName);
+        newAppToken = createBaseRes.data.app.app_token;
+        newBaseUrl = createBaseRes.data.app.url || getBaseUrl(tenantAccessToken, newAppToken);
+        created.push({ type: 'base', appToken: newAppToken, name: baseName });
+        emit({ type: 'base_created', baseName, appToken: newAppToken, baseUrl: newBaseUrl, ...describeLarkApp(tenantAccessToken) });
+    }
 
-            .submit-button:hover:not(:disabled)::before {
-                left: 100%;
-            }
+    const results = [];
+    // テーブル名 → table_id（リンクフィールドのリンク先解決に使用。既存テーブルも含む）
+    const tableIds = Object.fromEntries(Object.entries(existing).map(([name, table]) => [name, table.tableId]));
+    // テーブル名 → フィールド名 → field_id（数式・参照フィールドの参照解決に使用）
+    const fieldIds = Object.fromEntries(Object.entries(existing).map(([name, table]) => [name, { ...table.fields }]));
+    // テーブル名 → 追加したサンプルレコードのrecord_id一覧
+    const recordIdsByTable = {};
+    // 今回サンプルレコードを追加したテーブル名（リンクの貼り直し判定に使用）
+    const tablesWithNewRecords = new Set();
+    const builtTables = [];
 
-            .submit-button:hover:not(:disabled) { 
-                transform: translateY(-3px); 
-                box-shadow: var(--shadow-lg);
-            }
+    // フィールドごとの結果を構築結果に記録する（status: created / existing / skipped / failed）
+    const reportField = (built, field, report) => {
+        built.result.fields.push({ name: field.name, type: field.type, ...report });
+    };
 
-            .submit-button:disabled { 
-                background: linear-gradient(135deg, #a0aec0, #718096);
-                cursor: not-allowed; 
-                transform: none;
-                box-shadow: var(--shadow-sm);
+    // フィールドを作成する（既に存在する場合は作成せずにスキップ）
+    const createField = async (built, field, context = {}) => {
+        const tableName = built.table.name;
+        if (fieldIds[tableName][field.name]) {
+            built.result.fieldsCreated++;
+            reportField(built, field, { status: 'existing', fieldId: fieldIds[tableName][field.name] });
+            emit({ type: 'field_existing', table: tableName, field: field.name });
+            return true;
+        }
+
+        const fieldPayload = getFieldProperty(field.type, field.options || {}, context);
+        if (!fieldPayload) {
+            const reason = MANUAL_FIELD_TYPES.includes(field.type) ? describeManualField(field) : `未対応のタイプ: ${field.type}`;
+            console.warn(`Field not created: ${field.type}`);
+            reportField(built, field, { status: 'skipped', reason });
+            emit({ type: 'field_skipped', table: tableName, field: field.name, reason });
+            return false;
+        }
+
+        const createFieldRes = await apiCall(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables/${built.tableId}/fields`, {
+            method: 'POST',
+            body: { 
+                field_name: field.name, 
+                type: fieldPayload.type, 
+                ui_type: fieldPayload.ui_type,
+                description: getFieldDescription(field),
+                property: fieldPayload.property 
             }
+        });
+        fieldIds[tableName][field.name] = createFieldRes.data?.field?.field_id;
+        created.push({
+            type: 'field',
+            appToken: newAppToken,
+            tableId: built.tableId,
+            fieldId: fieldIds[tableName][field.name],
+            name: `${tableName}.${field.name}`
+        });
+        built.result.fieldsCreated++;
+        reportField(built, field, { status: 'created', fieldId: fieldIds[tableName][field.name] });
+        emit({ type: 'field_created', table: tableName, field: field.name });
+        return true;
+    };
 
-            .result-container { 
-                margin-top: 2rem; 
+    // 新しいテーブルの既定の主フィールドを、設計の主フィールドに更新する
+    const updatePrimaryField = async (built, field, primaryFieldId) => {
+        const tableName = built.table.name;
+        const fieldPayload = getFieldProperty(field.type, field.options || {});
+        await apiCall(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables/${built.tableId}/fields/${primaryFieldId}`, {
+            method: 'PUT',
+            body: {
+                field_name: field.name,
+                type: fieldPayload.type,
+                ui_type: fieldPayload.ui_type,
+                description: getFieldDescription(field),
+                property: fieldPayload.property
             }
+        });
+        fieldIds[tableName][field.name] = primaryFieldId;
+        built.result.fieldsCreated++;
+        reportField(built, field, { status: 'created', fieldId: primaryFieldId, primary: true });
+        emit({ type: 'field_created', table: tableName, field: field.name });
+    };
 
-            .loading-section {
-                text-align: center;
-                padding: 2rem;
-                display: none;
+    const recordFieldFailure = (built, field, fieldError, label = 'Field') => {
+        console.warn(`${label} creation failed for ${field.name}:`, fieldError.message);
+        built.result.fieldsFailed++;
+        reportField(built, field, {
+            status: 'failed',
+            error: fieldError.message,
+            ...(fieldError.code !== undefined ? { code: fieldError.code, msg: fieldError.msg } : {})
+        });
+        emit({ type: 'field_failed', table: built.table.name, field: field.name, error: fieldError.message });
+    };
+    
+    // --- Step 3: 作成されたBase内にテーブルとフィールドを構築（独立したテーブルは並行して構築する） ---
+    await mapConcurrently(tables, TABLE_BUILD_CONCURRENCY, async (table, i) => {
+        try {
+            let tableId = existing[table.name]?.tableId;
+            // テーブルの作成と同時に作成するフィールド（主フィールドを先頭に、リンク・数式系以外）
+            let initialFields = [];
+            let createTableRes = null;
+            if (tableId) {
+                emit({ type: 'table_existing', table: table.name, tableId });
+            } else {
+                initialFields = getInitialTableFields(table);
+                if (initialFields.length > 0) {
+                    try {
+                        createTableRes = await apiCall(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables`, {
+                            method: 'POST',
+                            body: {
+                                table: {
+                                    name: table.name,
+                                    fields: initialFields.map(({ field, payload }) => ({
+                                        field_name: field.name,
+                                        type: payload.type,
+                                        ui_type: payload.ui_type,
+                                        description: getFieldDescription(field),
+                                        property: payload.property
+                                    }))
+                                }
+                            }
+                        });
+                    } catch (tableError) {
+                        // フィールドの定義が原因で作成できない場合は、テーブルだけを作成してフィールドを個別に追加する
+                        console.warn(`Table creation with fields failed for ${table.name}, retrying without fields:`, tableError.message);
+                        initialFields = [];
+                    }
+                }
+                if (!createTableRes) {
+                    createTableRes = await apiCall(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables`, { 
+                        method: 'POST', 
+                        body: { table: { name: table.name } } 
+                    });
+                }
+                tableId = createTableRes.data.table_id;
+                created.push({ type: 'table', appToken: newAppToken, tableId, name: table.name });
+                emit({ type: 'table_created', table: table.name, tableId });
             }
+            tableIds[table.name] = tableId;
+            fieldIds[table.name] = { ...(existing[table.name]?.fields || {}) };
 
-            .spinner { 
-                width: 50px; 
-                height: 50px; 
-                border: 4px solid rgba(255, 255, 255, 0.3); 
-                border-top: 4px solid #4facfe; 
-                border-radius: 50%; 
-                animation: spin 1s linear infinite; 
-                margin: 0 auto 1rem; 
+            const result = { 
+                tableName: table.name, 
+                status: 'Success', 
+                tableId, 
+                fieldsCreated: 0,
+                fieldsFailed: 0,
+                recordsAdded: 0,
+                recordBatchesFailed: 0,
+                // フィールドごとの結果: { name, type, status, fieldId, reason, error, code, msg }
+                fields: []
+            };
+            results[i] = result;
+            // createdWithTable: 個別に作成しないフィールド（テーブルと同時に作成、または既定の主フィールドを更新したもの）
+            const built = { table, tableId, result, linkFields: [], newLinkFields: 0, createdWithTable: new Set() };
+            builtTables.push(built);
+
+            if (initialFields.length > 0) {
+                // field_id_list は送信したフィールドと同じ順序で返る（無い場合はフィールド一覧から名前で引く）
+                let fieldIdList = createTableRes.data.field_id_list || [];
+                if (fieldIdList.length !== initialFields.length) {
+                    const fields = await listAllItems(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables/${tableId}/fields`);
+                    fieldIdList = initialFields.map(({ field }) => fields.find(item => item.field_name === field.name)?.field_id);
+                }
+                initialFields.forEach(({ field }, index) => {
+                    fieldIds[table.name][field.name] = fieldIdList[index];
+                    built.createdWithTable.add(field);
+                    result.fieldsCreated++;
+                    reportField(built, field, { status: 'created', fieldId: fieldIdList[index], ...(field.primary ? { primary: true } : {}) });
+                    emit({ type: 'field_created', table: table.name, field: field.name });
+                });
+            } else if (!existing[table.name]) {
+                // フィールドを指定せずに作成したテーブルは、既定の主フィールドを設計の主フィールドに置き換え、既定の追加フィールドと空のレコードを削除する
+                try {
+                    const defaultFields = await listAllItems(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables/${tableId}/fields`);
+                    const defaultPrimary = defaultFields.find(field => field.is_primary) || defaultFields[0];
+                    const primaryField = table.fields.find(field => field.primary);
+                    if (defaultPrimary && primaryField) {
+                        try {
+                            await updatePrimaryField(built, primaryField, defaultPrimary.field_id);
+                            built.createdWithTable.add(primaryField);
+                        } catch (fieldError) {
+                            // 更新できなかった場合は、この後で通常のフィールドとして作成する
+                            console.warn(`Primary field update failed for ${primaryField.name}:`, fieldError.message);
+                        }
+                    }
+                    const removed = await removeTableDefaults(
+                        tenantAccessToken,
+                        newAppToken,
+                        tableId,
+                        defaultFields.filter(field => field !== defaultPrimary)
+                    );
+                    emit({ type: 'table_defaults_removed', table: table.name, ...removed });
+                } catch (cleanupError) {
+                    console.warn(`Default column cleanup failed for ${table.name}:`, cleanupError.message);
+                }
             }
 
-            @keyframes spin { 
-                0% { transform: rotate(0deg); } 
-                100% { transform: rotate(360deg); } 
+            // 残りのフィールドを個別に作成（リンク・数式系フィールドは全テーブル作成後に追加）
+            for (const field of table.fields) {
+                if (isLinkField(field) || isComputedField(field) || built.createdWithTable.has(field)) {
+                    continue;
+                }
+                try {
+                    await createField(built, field);
+                } catch (fieldError) {
+                    recordFieldFailure(built, field, fieldError);
+                }
             }
+            
+        } catch (tableError) {
+            console.error(`Table creation failed for ${table.name}:`, tableError);
+            emit({ type: 'table_failed', table: table.name, error: tableError.message });
+            results[i] = { 
+                tableName: table.name, 
+                status: 'Failed', 
+                error: tableError.message 
+            };
+        }
+    });
+    // 以降の処理と報告はスキーマのテーブル順に行う
+    builtTables.sort((a, b) => tables.indexOf(a.table) - tables.indexOf(b.table));
 
-            .progress-steps {
-                margin-top: 1.5rem;
-                display: none;
+    // --- Step 4: リンクフィールドを作成（テーブル名をtable_idに解決） ---
+    for (const built of builtTables) {
+        for (const field of built.table.fields.filter(isLinkField)) {
+            try {
+                const isNew = !fieldIds[built.table.name][field.name];
+                if (await createField(built, field, { tableIds })) {
+                    built.linkFields.push(field);
+                    if (isNew) built.newLinkFields++;
+                }
+            } catch (fieldError) {
+                recordFieldFailure(built, field, fieldError, 'Link field');
             }
+        }
+    }
 
-            .step {
-                padding: 1rem;
-                margin: 0.5rem 0;
-                border-radius: 12px;
-                font-size: 0.95rem;
-                transition: all 0.3s ease;
-                background: rgba(255, 255, 255, 0.05);
-                border-left: 4px solid rgba(255, 255, 255, 0.2);
-                color: rgba(255, 255, 255, 0.7);
-            }
+    // --- Step 5: 数式フィールドを参照先が揃った順に作成（参照・集計はLarkの画面で作成する項目として報告） ---
+    const computedFields = builtTables.flatMap(built =>
+        built.table.fields.filter(isComputedField).map(field => ({ tableName: built.table.name, field, built }))
+    );
+    const { ordered, unresolved } = orderComputedFields(
+        computedFields,
+        tables,
+        dep => Boolean(fieldIds[dep.table]?.[dep.field])
+    );
+    for (const { tableName, field, built } of ordered) {
+        try {
+            await createField(built, field, { tableIds, fieldIds, tableName, tables });
+        } catch (fieldError) {
+            recordFieldFailure(built, field, fieldError, 'Computed field');
+        }
+    }
+    for (const { tableName, field, built } of unresolved) {
+        const reason = MANUAL_FIELD_TYPES.includes(field.type) ? describeManualField(field) : '参照先フィールドが見つからないか循環参照しています';
+        console.warn(`Computed field skipped for ${tableName}.${field.name}: ${reason}`);
+        reportField(built, field, { status: 'skipped', reason });
+        emit({ type: 'field_skipped', table: tableName, field: field.name, reason });
+    }
 
-            .step.active {
-                background: rgba(79, 172, 254, 0.2);
-                color: #4facfe;
-                border-left-color: #4facfe;
-                transform: translateX(5px);
-            }
+    // フィールドごとの結果はスキーマのフィールド順に並べる
+    for (const { table, result } of builtTables) {
+        const order = table.fields.map(field => field.name);
+        result.fields.sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+    }
 
-            .step.completed {
-                background: rgba(72, 187, 120, 0.2);
-                color: #48bb78;
-                border-left-color: #48bb78;
-            }
+    // --- Step 6: サンプルデータ追加（再開時は追加済みの件数を差し引く。取り込み対象のテーブルはファイルの行を追加。テーブルごとに並行） ---
+    await mapConcurrently(builtTables, TABLE_BUILD_CONCURRENCY, async ({ table, tableId, result }) => {
+        const addedBefore = resume?.recordIds?.[table.name] || [];
+        recordIdsByTable[table.name] = [...addedBefore];
+        const importRecords = imports?.[table.name];
+        // 取り込みは追加済みの行（recordIds と同じ順の行番号）を除いた行を追加する（途中のバッチが失敗していても、その行だけを追加し直す）
+        const importedBefore = resume?.importedRowIndexes?.[table.name] || [];
+        const importedSet = new Set(importedBefore);
+        const pendingRows = importRecords ? importRecords.map((_, index) => index).filter(index => !importedSet.has(index)) : [];
+        const remaining = importRecords ? pendingRows.length : table.sampleDataCount - addedBefore.length;
+        if (importRecords) {
+            result.importedRowIndexes = [...importedBefore];
+        }
 
-            .result-success {
-                background: rgba(72, 187, 120, 0.1);
-                border: 1px solid rgba(72, 187, 120, 0.3);
-                color: #48bb78;
-                padding: 2rem;
-                border-radius: 16px;
-                margin-top: 1rem;
-                backdrop-filter: blur(10px);
+        if (remaining > 0 && result.fieldsCreated > 0) {
+            const onBatch = batch => {
+                if (batch.status === 'failed') result.recordBatchesFailed++;
+                // 取り込みのバッチには、追加した行番号を rows として含める
+                const rows = importRecords ? pendingRows.slice((batch.batch - 1) * IMPORT_BATCH_SIZE, batch.batch * IMPORT_BATCH_SIZE) : null;
+                if (batch.status === 'done') {
+                    created.push({ type: 'records', appToken: newAppToken, tableId, recordIds: batch.recordIds, name: table.name });
+                    if (rows) result.importedRowIndexes.push(...rows);
+                }
+                emit({ type: 'records_batch', table: table.name, ...batch, ...(rows && batch.status === 'done' ? { rows } : {}) });
+            };
+            try {
+                const addRecordsRes = importRecords
+                    ? await addRecords(tenantAccessToken, newAppToken, tableId, pendingRows.map(index => importRecords[index]), onBatch, IMPORT_BATCH_SIZE)
+                    : await addSampleRecords(
+                        tenantAccessToken, 
+                        newAppToken, 
+                        tableId, 
+                        table.fields, 
+                        remaining,
+                        onBatch,
+                        addedBefore.length
+                    );
+                const records = addRecordsRes.data?.records || [];
+                recordIdsByTable[table.name].push(...records.map(record => record.record_id));
+                if (records.length > 0) {
+                    tablesWithNewRecords.add(table.name);
+                }
+            } catch (recordError) {
+                console.warn(`Sample data creation failed for table ${table.name}:`, recordError.message);
             }
+        }
+        result.recordsAdded = recordIdsByTable[table.name].length;
+        result.recordIds = recordIdsByTable[table.name];
+    });
 
-            .result-error {
-                background: rgba(245, 101, 101, 0.1);
-                border: 1px solid rgba(245, 101, 101, 0.3);
-                color: #f56565;
-                padding: 2rem;
-                border-radius: 16px;
-                margin-top: 1rem;
-                backdrop-filter: blur(10px);
-            }
+    // --- Step 7: サンプルレコードをリンク先テーブルのサンプルレコードに紐付け（テーブルごとに並行） ---
+    await mapConcurrently(builtTables, TABLE_BUILD_CONCURRENCY, async ({ table, tableId, result, linkFields, newLinkFields }) => {
+        const recordIds = recordIdsByTable[table.name] || [];
+        if (linkFields.length === 0 || recordIds.length === 0) {
+            return;
+        }
 
-            .result-title {
-                font-size: 1.3rem;
-                font-weight: 600;
-                margin-bottom: 1rem;
-                display: flex;
-                align-items: center;
-                gap: 0.5rem;
-            }
+        // 再開時、紐付け済みで関連レコードにも変化が無ければスキップ
+        const linkedBefore = resume?.recordsLinked?.[table.name] || 0;
+        const needsLinking = !resume ||
+            newLinkFields > 0 ||
+            linkedBefore < recordIds.length ||
+            tablesWithNewRecords.has(table.name) ||
+            linkFields.some(field => tablesWithNewRecords.has(field.options?.linkTable));
+        if (!needsLinking) {
+            result.recordsLinked = linkedBefore;
+            return;
+        }
 
-            .result-content {
-                line-height: 1.6;
-            }
+        try {
+            result.recordsLinked = await linkSampleRecords(
+                tenantAccessToken,
+                newAppToken,
+                tableId,
+                recordIds,
+                linkFields,
+                recordIdsByTable
+            );
+            emit({ type: 'records_linked', table: table.name, count: result.recordsLinked });
+        } catch (linkError) {
+            console.warn(`Sample record linking failed for table ${table.name}:`, linkError.message);
+        }
+    });
 
-            .result-content strong {
-                font-weight: 600;
-            }
+    // --- Step 8: ビューを作成（フィールドが揃った後に作成し、フィルターを設定する。テーブルごとに並行） ---
+    await mapConcurrently(builtTables.filter(built => built.table.views?.length > 0), TABLE_BUILD_CONCURRENCY, async ({ table, tableId, result }) => {
+        const viewsPath = `/base/v1/apps/${newAppToken}/tables/${tableId}/views`;
+        result.viewsCreated = 0;
+        result.viewsFailed = 0;
+        // ビューごとの結果: { name, type, status, viewId, manualSettings, filterError, error, code, msg }
+        result.views = [];
 
-            .result-url {
-                color: #4facfe;
-                text-decoration: none;
-                font-weight: 500;
-                transition: all 0.2s ease;
+        // 再開・追加時は同名のビューを作成しない。フィルターの選択肢は option id で指定するため、フィールドの設定も取得する
+        let existingViews = [];
+        let larkFields = [];
+        try {
+            existingViews = await listAllItems(tenantAccessToken, viewsPath);
+            if (table.views.some(view => view.filters)) {
+                larkFields = await listAllItems(tenantAccessToken, `/base/v1/apps/${newAppToken}/tables/${tableId}/fields`);
             }
+        } catch (listError) {
+            console.warn(`View listing failed for table ${table.name}:`, listError.message);
+        }
 
-            .result-url:hover {
-                text-decoration: underline;
-                color: #63b3ed;
+        for (const view of table.views) {
+            const report = { name: view.name, type: view.type };
+            const manualSettings = describeManualViewSettings(view);
+            if (manualSettings.length > 0) {
+                report.manualSettings = manualSettings;
             }
 
-            .result-details {
-                background: rgba(0, 0, 0, 0.2);
-                padding: 1.5rem;
-                border-radius: 12px;
-                margin-top: 1rem;
-                font-family: "SF Mono", "Menlo", "Monaco", "Consolas", monospace;
-                font-size: 0.85rem;
-                white-space: pre-wrap;
-                word-wrap: break-word;
-                max-height: 400px;
-                overflow-y: auto;
-                color: rgba(255, 255, 255, 0.8);
-                border: 1px solid rgba(255, 255, 255, 0.1);
+            const current = existingViews.find(item => item.view_name === view.name);
+            if (current) {
+                result.viewsCreated++;
+                result.views.push({ ...report, status: 'existing', viewId: current.view_id });
+                emit({ type: 'view_existing', table: table.name, view: view.name });
+                continue;
             }
 
-            .examples-section {
-                margin-top: 2rem;
-                background: rgba(255, 255, 255, 0.05);
-                border-radius: 16px;
-                padding: 1.5rem;
-                border: 1px solid rgba(255, 255, 255, 0.1);
+            let viewId;
+            try {
+                const createViewRes = await apiCall(tenantAccessToken, viewsPath, {
+                    method: 'POST',
+                    body: { view_name: view.name, view_type: view.type }
+                });
+                viewId = createViewRes.data?.view?.view_id;
+                // view_id が無いとフィルターの設定もロールバックもできないため、作成失敗として扱う
+                if (!viewId) {
+                    throw new Error('ビューIDが返されませんでした');
+                }
+                created.push({ type: 'view', appToken: newAppToken, tableId, viewId, name: `${table.name}.${view.name}` });
+            } catch (viewError) {
+                console.warn(`View creation failed for ${table.name}.${view.name}:`, viewError.message);
+                result.viewsFailed++;
+                result.views.push({
+                    ...report,
+                    status: 'failed',
+                    error: viewError.message,
+                    ...(viewError.code !== undefined ? { code: viewError.code, msg: viewError.msg } : {})
+                });
+                emit({ type: 'view_failed', table: table.name, view: view.name, error: viewError.message });
+                continue;
             }
 
-            .examples-title {
-                color: white;
-                font-size: 1.1rem;
-                font-weight: 600;
-                margin-bottom: 1rem;
-                display: flex;
-                align-items: center;
-                gap: 0.5rem;
+            if (view.filters) {
+                try {
+                    await apiCall(tenantAccessToken, `${viewsPath}/${viewId}`, {
+                        method: 'PATCH',
+                        body: {
+                            property: {
+                                filter_info: getViewFilterInfo(view.filters, name => larkFields.find(field => field.field_name === name))
+                            }
+                        }
+                    });
+                } catch (filterError) {
+                    // ビュー自体は作成できているため、フィルターは画面で設定する項目として報告する
+                    console.warn(`View filter update failed for ${table.name}.${view.name}:`, filterError.message);
+                    report.filterError = filterError.message;
+                    report.manualSettings = [...(report.manualSettings || []), describeViewFilters(view.filters)];
+                }
             }
+            result.viewsCreated++;
+            result.views.push({ ...report, status: 'created', viewId });
+            emit({ type: 'view_created', table: table.name, view: view.name });
+        }
+    });
 
-            .example-item {
-                background: rgba(255, 255, 255, 0.05);
-                border-radius: 8px;
-                padding: 1rem;
-                margin-bottom: 0.75rem;
-                cursor: pointer;
-                transition: all 0.2s ease;
-                border: 1px solid rgba(255, 255, 255, 0.1);
-            }
+    return { appToken: newAppToken, baseUrl: newBaseUrl, results };
+}
 
-            .example-item:hover {
-                background: rgba(255, 255, 255, 0.1);
-                transform: translateX(5px);
-            }
+/**
+ * 構築中に作成したオブジェクトを、作成と逆の順序で削除する
+ * Base自体を今回作成していた場合はBaseごと削除し、中のテーブル等もそれに含めて報告します。
+ * Baseの削除に失敗した場合は、中身を個別に逆順で削除します。
+ */
+async function rollbackCreated(token, created) {
+    const removed = [];
+    const failed = [];
+    const baseEntry = created.find(entry => entry.type === 'base');
+    let remaining = [...created].reverse();
 
-            .example-title {
-                font-weight: 600;
-                color: white;
-                margin-bottom: 0.25rem;
-                font-size: 0.9rem;
-            }
+    if (baseEntry) {
+        try {
+            await deleteCreatedObject(token, baseEntry);
+            removed.push(baseEntry);
+            remaining.filter(entry => entry !== baseEntry).forEach(entry => removed.push({ ...entry, removedWith: 'base' }));
+            remaining = [];
+        } catch (error) {
+            console.warn(`Rollback failed for base ${baseEntry.appToken}:`, error.message);
+            failed.push({ ...baseEntry, error: error.message });
+            remaining = remaining.filter(entry => entry !== baseEntry);
+        }
+    }
 
-            .example-desc {
-                color: rgba(255, 255, 255, 0.7);
-                font-size: 0.8rem;
-                line-height: 1.4;
-            }
+    for (const entry of remaining) {
+        try {
+            await deleteCreatedObject(token, entry);
+            removed.push(entry);
+        } catch (error) {
+            console.warn(`Rollback failed for ${entry.type} ${entry.name}:`, error.message);
+            failed.push({ ...entry, error: error.message });
+        }
+    }
 
-            @media (max-width: 768px) {
-                .container { 
-                    padding: 1rem; 
-                }
-                .main-card { 
-                    padding: 2rem; 
-                }
-                .header h1 { 
-                    font-size: 2.2rem; 
-                }
-                .header .subtitle {
-                    font-size: 1.1rem;
-                }
-                textarea { 
-                    height: 150px; 
-                    padding: 1rem;
-                }
-                .feature-grid {
-                    grid-template-columns: 1fr;
-                }
-                .tips-grid {
-                    grid-template-columns: 1fr;
-                }
-            }
+    return {
+        performed: true,
+        baseDeleted: Boolean(baseEntry) && removed.includes(baseEntry),
+        removed,
+        failed
+    };
+}
 
-            @media (max-width: 480px) {
-                .header h1 { 
-                    font-size: 1.8rem; 
-                }
-                .main-card {
-                    padding: 1.5rem;
-                }
+/**
+ * ロールバック対象のオブジェクトを1件削除する
+ */
+async function deleteCreatedObject(token, entry) {
+    const appPath = `/base/v1/apps/${entry.appToken}`;
+    switch (entry.type) {
+        case 'base':
+            return apiCall(token, `/drive/v1/files/${entry.appToken}?type=bitable`, { method: 'DELETE' });
+        case 'table':
+            return apiCall(token, `${appPath}/tables/${entry.tableId}`, { method: 'DELETE' });
+        case 'field':
+            return apiCall(token, `${appPath}/tables/${entry.tableId}/fields/${entry.fieldId}`, { method: 'DELETE' });
+        case 'view':
+            return apiCall(token, `${appPath}/tables/${entry.tableId}/views/${entry.viewId}`, { method: 'DELETE' });
+        case 'records':
+            return apiCall(token, `${appPath}/tables/${entry.tableId}/records/batch_delete`, {
+                method: 'POST',
+                body: { records: entry.recordIds }
+            });
+    }
+}
+
+/**
+ * 構築結果からロールバックで削除したサンプルレコードを取り除く（再試行時に追加し直すため）
+ */
+function forgetRolledBackRecords(details, rollback) {
+    const removedIds = new Set(rollback.removed.filter(entry => entry.type === 'records').flatMap(entry => entry.recordIds));
+    return details.map(detail => {
+        if (!detail.recordIds) return detail;
+        // 取り込んだ行番号（importedRowIndexes）は recordIds と同じ順に並んでいるため、一緒に取り除く
+        const kept = detail.recordIds.map((id, index) => ({ id, row: detail.importedRowIndexes?.[index] })).filter(({ id }) => !removedIds.has(id));
+        const recordIds = kept.map(({ id }) => id);
+        return {
+            ...detail,
+            recordIds,
+            recordsAdded: recordIds.length,
+            ...(detail.importedRowIndexes ? { importedRowIndexes: kept.map(({ row }) => row) } : {})
+        };
+    });
+}
+
+/**
+ * ロールバック結果を「Base 1件、テーブル 2件…を削除しました」の形式で要約する
+ */
+function describeRollback(rollback) {
+    const labels = { base: 'Base', table: 'テーブル', field: 'フィールド', view: 'ビュー', records: 'レコードバッチ' };
+    const counts = {};
+    rollback.removed.forEach(entry => {
+        counts[entry.type] = (counts[entry.type] || 0) + 1;
+    });
+    const parts = Object.entries(labels)
+        .filter(([type]) => counts[type])
+        .map(([type, label]) => `${label} ${counts[type]}件`);
+    const removedText = parts.length > 0 ? `${parts.join('、')}を削除しました` : '削除したものはありません';
+    return rollback.failed.length > 0
+        ? `${removedText}。${rollback.failed.length}件は削除できませんでした`
+        : removedText;
+}
+
+/**
+ * 既存Baseのテーブルとフィールドを取得する
+ * 戻り値: テーブル名 → { tableId, fields: { フィールド名: field_id } }
+ */
+async function loadBaseStructure(token, appToken) {
+    const structure = {};
+    const tables = await listAllItems(token, `/base/v1/apps/${appToken}/tables`);
+    for (const table of tables) {
+        const fields = await listAllItems(token, `/base/v1/apps/${appToken}/tables/${table.table_id}/fields`);
+        structure[table.name] = {
+            tableId: table.table_id,
+            fields: Object.fromEntries(fields.map(field => [field.field_name, field.field_id]))
+        };
+    }
+    return structure;
+}
+
+// --- Lark Rate Limiting ---
+
+// Lark APIへの1秒あたりのリクエスト数の上限（アプリ＝テナントアクセストークンごと）と、連続して送れる最大数
+// バケットには毎秒（上限 − 連続数）個を補充し、どの1秒間でも上限を超えないようにする
+const LARK_REQUESTS_PER_SECOND = 10;
+const LARK_REQUEST_BURST = 2;
+
+// 同時に構築するテーブル数（リクエスト数の上限はすべてのテーブルで共有する）
+const TABLE_BUILD_CONCURRENCY = 3;
+
+// レート制限（HTTP 429 / code 99991400）で待機して送り直す最大回数と、サーバーが待機時間を示さない場合の初回の待機時間
+const MAX_RATE_LIMIT_RETRIES = 5;
+const RATE_LIMIT_BACKOFF_MS = 1000;
+
+// Larkアプリごとのリクエストスケジューラー（同じIsolate内の同時リクエストでも上限を共有する）
+const larkRateLimiters = new Map();
+
+/**
+ * トークンバケット方式のリクエストスケジューラーを作成する
+ * - take(): 送信できるまで待機してからトークンを1つ消費する
+ * - pause(ms): サーバーから待機を求められた場合、その間はすべてのリクエストを止める
+ */
+function createRateLimiter(ratePerSecond, burst) {
+    let tokens = burst;
+    let updatedAt = Date.now();
+    let pausedUntil = 0;
+    // 待機中のリクエストを到着順に処理するためのチェーン
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - updatedAt) * ratePerSecond / 1000);
+        updatedAt = now;
+    };
+
+    const acquire = async () => {
+        for (;;) {
+            const pausedMs = pausedUntil - Date.now();
+            if (pausedMs > 0) {
+                await sleep(pausedMs);
+                continue;
             }
-        </style>
-    </head>
-    <body>
-        <div class="background-animation"></div>
-        
-        <div class="container">
-            <div class="main-card">
-                <div class="header">
-                    <h1>🚀 Lark Base AI Builder</h1>
-                    <p class="subtitle">AIが自動でデータベース設計を行い、完璧なLark Baseを構築します</p>
-                </div>
+            refill();
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil((1 - tokens) * 1000 / ratePerSecond));
+        }
+    };
 
-                <div class="feature-grid">
-                    <div class="feature-card">
-                        <span class="feature-icon">🤖</span>
-                        <div class="feature-title">AI自動設計</div>
-                        <div class="feature-desc">自然言語から最適なテーブル構造を自動生成</div>
-                    </div>
-                    <div class="feature-card">
-                        <span class="feature-icon">⚡</span>
-                        <div class="feature-title">高速構築</div>
-                        <div class="feature-desc">数分でプロフェッショナルなBaseが完成</div>
-                    </div>
-                    <div class="feature-card">
-                        <span class="feature-icon">🎯</span>
-                        <div class="feature-title">精密設計</div>
-                        <div class="feature-desc">業務に最適化されたフィールド設計</div>
-                    </div>
-                    <div class="feature-card">
-                        <span class="feature-icon">📊</span>
-                        <div class="feature-title">サンプルデータ</div>
-                        <div class="feature-desc">すぐに使えるテストデータを自動生成</div>
-                    </div>
-                </div>
-                
-                <div class="info-section">
-                    <h3>💡 効果的な指示のコツ</h3>
-                    <div class="tips-grid">
-                        <div class="tip-item">
-                            <div class="tip-title">具体的に記述</div>
-                            <div class="tip-desc">「顧客管理」ではなく「顧客名、電話番号、担当者を管理」</div>
-                        </div>
-                        <div class="tip-item">
-                            <div class="tip-title">項目を明記</div>
-                            <div class="tip-desc">管理したいデータの種類を具体的に列挙</div>
-                        </div>
-                        <div class="tip-item">
-                            <div class="tip-title">関係性を説明</div>
+    return {
+        take() {
+            const turn = queue.then(acquire);
+            queue = turn.catch(() => {});
+            return turn;
+        },
+        pause(ms) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+            tokens = 0;
+        }
+    };
+}
+
+/**
+ * Larkアプリ（アプリID。不明な場合はトークン）ごとのスケジューラーを返す
+ */
+function getLarkRateLimiter(key) {
+    if (!larkRateLimiters.has(key)) {
+        larkRateLimiters.set(key, createRateLimiter(LARK_REQUESTS_PER_SECOND - LARK_REQUEST_BURST, LARK_REQUEST_BURST));
+    }
+    return larkRateLimiters.get(key);
+}
+
+/**
+ * レート制限の応答から待機時間（ミリ秒）を読み取る
+ * Retry-After（秒）、x-ogw-ratelimit-reset（秒）の順に使用し、無ければ試行回数に応じた指数バックオフにします。
+ */
+function getRateLimitWait(response, retry) {
+    for (const name of ['Retry-After', 'x-ogw-ratelimit-reset']) {
+        const seconds = Number(response?.headers.get(name));
+        if (Number.isFinite(seconds) && seconds > 0) {
+            return seconds * 1000;
+        }
+    }
+    return RATE_LIMIT_BACKOFF_MS * Math.pow(2, retry);
+}
+
+/**
+ * items を最大 limit 件ずつ並行して worker で処理する（戻り値は items と同じ順序）
+ */
+async function mapConcurrently(items, limit, worker) {
+    const outputs = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            outputs[index] = await worker(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return outputs;
+}
+
+// --- Lark Apps ---
+
+/**
+ * デプロイ設定からLarkアプリ（接続先と認証情報）の一覧を作る
+ * - LARK_APP_ID / LARK_APP_SECRET: 既定のアプリ（リージョンは LARK_REGION。未指定なら lark）
+ * - FEISHU_APP_ID / FEISHU_APP_SECRET: Feishu（中国）のアプリ
+ * - LARK_APPS: 複数のアプリをJSON配列で指定
+ *   （例: [{ "region": "feishu", "appId": "cli_xxx", "appSecret": "...", "name": "中国法人", "apiUrl": "..." }]）
+ * apiUrl を省略した場合は LARK_API_URL / FEISHU_API_URL、無ければリージョンの既定値を使用します。
+ */
+function getLarkApps(env) {
+    const apps = [];
+    const add = (region, appId, appSecret, options = {}) => {
+        if (!appId || !appSecret) {
+            return;
+        }
+        const defaults = LARK_REGIONS[region];
+        if (!defaults) {
+            throw new Error(`Unknown Lark region in configuration: ${region}`);
+        }
+        apps.push({
+            region,
+            appId,
+            appSecret,
+            name: options.name || appId,
+            apiUrl: (options.apiUrl || env[`${region.toUpperCase()}_API_URL`] || defaults.apiUrl).replace(/\/+$/, ''),
+            webUrl: (options.webUrl || defaults.webUrl).replace(/\/+$/, '')
+        });
+    };
+
+    add(env.LARK_REGION || 'lark', env.LARK_APP_ID, env.LARK_APP_SECRET);
+    add('feishu', env.FEISHU_APP_ID, env.FEISHU_APP_SECRET);
+
+    if (env.LARK_APPS) {
+        let configured;
+        try {
+            configured = typeof env.LARK_APPS === 'string' ? JSON.parse(env.LARK_APPS) : env.LARK_APPS;
+        } catch (error) {
+            throw new Error(`LARK_APPS is not valid JSON: ${error.message}`);
+        }
+        for (const app of [].concat(configured)) {
+            add(app.region || 'lark', app.appId, app.appSecret, app);
+        }
+    }
+    return apps;
+}
+
+/**
+ * リクエストで指定されたリージョン・アプリIDのLarkアプリを選ぶ
+ * 指定が無ければ最初に設定されたアプリ（リージョンのみ指定された場合はそのリージョンの最初のアプリ）を使用します。
+ */
+function resolveLarkApp(env, { region, appId } = {}) {
+    if (region && !LARK_REGIONS[region]) {
+        throw inputError(`リージョン「${region}」には対応していません（${Object.keys(LARK_REGIONS).join(' / ')} を指定してください）。`);
+    }
+
+    const apps = getLarkApps(env);
+    const app = apps.find(app => (!region || app.region === region) && (!appId || app.appId === appId));
+    if (app) {
+        return app;
+    }
+    if (apps.length === 0) {
+        throw new Error('Lark API credentials are not configured.');
+    }
+    if (appId) {
+        throw inputError(`Larkアプリ「${appId}」が${region ? `${LARK_REGIONS[region].label}に` : ''}設定されていません。`);
+    }
+    throw inputError(`${LARK_REGIONS[region].label}のLarkアプリが設定されていません。`);
+}
+
+/**
+ * UIの接続先の選択肢（認証情報は含めない）
+ * 設定に誤りがある場合も画面は表示できるよう、空の一覧を返します。
+ */
+function listLarkAppOptions(env) {
+    try {
+        return getLarkApps(env).map(app => ({
+            region: app.region,
+            appId: app.appId,
+            label: LARK_REGIONS[app.region].label,
+            name: app.name
+        }));
+    } catch (error) {
+        console.warn('Failed to read Lark app configuration:', error.message);
+        return [];
+    }
+}
+
+/**
+ * BaseのURLからリージョンを推定する（分からなければ undefined）
+ */
+function detectLarkRegion(baseUrl) {
+    const text = String(baseUrl || '');
+    if (/^https?:\/\/[^/]*\.feishu\.cn\//i.test(text)) {
+        return 'feishu';
+    }
+    if (/^https?:\/\/[^/]*\.larksuite\.com\//i.test(text)) {
+        return 'lark';
+    }
+    return undefined;
+}
+
+// --- Schema Input ---
+
+/**
+ * 入力エラー（400 Bad Request として返すエラー）を作成する
+ */
+function inputError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * リクエストボディを読み込む
+ * - Content-Type が YAML の場合は、ボディ全体をスキーマ（{ baseName, tables }）として扱う
+ * - JSON の場合、schema にはオブジェクトのほか JSON / YAML の文字列も指定できる
+ * - multipart/form-data の場合、files に取り込むCSV / Excelファイル、その他の項目は文字列
+ *   （"true" / "false" は真偽値）として受け取る
+ * schema が指定されていれば、この時点で解釈と形式チェックを行います。
+ */
+async function readRequestBody(request) {
+    const contentType = request.headers.get('Content-Type') || '';
+    let body;
+    if (/yaml/i.test(contentType)) {
+        body = { schema: await request.text() };
+    } else if (/multipart\/form-data/i.test(contentType)) {
+        const form = await request.formData();
+        body = {};
+        for (const [key, value] of form.entries()) {
+            if (key === 'files') continue;
+            body[key] = value === 'true' ? true : value === 'false' ? false : value;
+        }
+        body.files = form.getAll('files').filter(file => typeof file !== 'string');
+    } else {
+        try {
+            body = await request.json();
+        } catch (error) {
+            throw inputError('リクエストボディのJSONを解釈できません。');
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            throw inputError('リクエストボディはJSONオブジェクト（{ prompt } や { schema } など）で指定してください。');
+        }
+    }
+
+    if (body.schema !== undefined && body.schema !== null) {
+        body.schema = parseSchemaInput(body.schema);
+    }
+    return body;
+}
+
+/**
+ * ユーザーが指定したスキーマ（オブジェクト / JSON文字列 / YAML文字列）を解釈し、形式をチェックする
+ */
+function parseSchemaInput(input) {
+    let schema = input;
+    if (typeof input === 'string') {
+        const text = input.trim();
+        if (text.startsWith('{')) {
+            try {
+                schema = JSON.parse(text);
+            } catch (error) {
+                throw inputError(`スキーマのJSONを解釈できません: ${error.message}`);
+            }
+        } else {
+            schema = parseYaml(text);
+        }
+    }
+
+    const errors = validateSchemaInput(schema);
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 10);
+        const more = errors.length > shown.length ? `\n（ほか${errors.length - shown.length}件）` : '';
+        throw inputError(`スキーマに誤りがあります:\n${shown.map(error => `- ${error}`).join('\n')}${more}`);
+    }
+    return schema;
+}
+
+/**
+ * スキーマの形式（{ baseName, tables: [{ name, fields: [{ name, type, options }], views: [{ name, type }], sampleDataCount }] }）をチェックし、
+ * 誤りの一覧を返す
+ */
+function validateSchemaInput(schema) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isName = value => typeof value === 'string' && value.trim().length > 0;
+
+    if (!isObject(schema)) {
+        return ['スキーマは { baseName, tables } 形式のオブジェクトで指定してください。'];
+    }
+    if (!isName(schema.baseName)) {
+        errors.push('baseName（Base名）を指定してください。');
+    }
+    if (!Array.isArray(schema.tables) || schema.tables.length === 0) {
+        errors.push('tables に1つ以上のテーブルを指定してください。');
+        return errors;
+    }
+
+    const tableNames = new Set();
+    schema.tables.forEach((table, ti) => {
+        const tableLabel = `tables[${ti}]`;
+        if (!isObject(table)) {
+            errors.push(`${tableLabel} はオブジェクトで指定してください。`);
+            return;
+        }
+        if (!isName(table.name)) {
+            errors.push(`${tableLabel}.name（テーブル名）を指定してください。`);
+        } else if (tableNames.has(table.name)) {
+            errors.push(`テーブル名「${table.name}」が重複しています。`);
+        } else {
+            tableNames.add(table.name);
+        }
+        if (table.sampleDataCount !== undefined && typeof table.sampleDataCount !== 'number') {
+            errors.push(`${tableLabel}.sampleDataCount は数値で指定してください。`);
+        }
+        if (table.description !== undefined && table.description !== null && typeof table.description !== 'string') {
+            errors.push(`${tableLabel}.description は文字列で指定してください。`);
+        }
+        if (table.views !== undefined && table.views !== null) {
+            if (!Array.isArray(table.views)) {
+                errors.push(`${tableLabel}.views はビュー（{ name, type }）の配列で指定してください。`);
+            } else {
+                table.views.forEach((view, vi) => {
+                    if (!isObject(view)) {
+                        errors.push(`${tableLabel}.views[${vi}] はオブジェクトで指定してください。`);
+                    } else if (!isName(view.type)) {
+                        errors.push(`${tableLabel}.views[${vi}].type（ビューのタイプ）を指定してください。`);
+                    }
+                });
+            }
+        }
+        if (table.fields === undefined) {
+            return;
+        }
+        if (!Array.isArray(table.fields)) {
+            errors.push(`${tableLabel}.fields は配列で指定してください。`);
+            return;
+        }
+
+        const fieldNames = new Set();
+        table.fields.forEach((field, fi) => {
+            const fieldLabel = `${tableLabel}.fields[${fi}]`;
+            if (!isObject(field)) {
+                errors.push(`${fieldLabel} はオブジェクトで指定してください。`);
+                return;
+            }
+            if (!isName(field.name)) {
+                errors.push(`${fieldLabel}.name（フィールド名）を指定してください。`);
+            } else if (fieldNames.has(field.name)) {
+                errors.push(`テーブル「${table.name}」のフィールド名「${field.name}」が重複しています。`);
+            } else {
+                fieldNames.add(field.name);
+            }
+            if (!isName(field.type)) {
+                errors.push(`${fieldLabel}.type（フィールドタイプ）を指定してください。`);
+            }
+            if (field.options !== undefined && field.options !== null && !isObject(field.options)) {
+                errors.push(`${fieldLabel}.options はオブジェクトで指定してください。`);
+            } else if (field.options?.choices !== undefined && !Array.isArray(field.options.choices)) {
+                errors.push(`${fieldLabel}.options.choices は選択肢（{ name, color }）の配列で指定してください。`);
+            }
+            if (field.description !== undefined && field.description !== null && typeof field.description !== 'string') {
+                errors.push(`${fieldLabel}.description は文字列で指定してください。`);
+            }
+            if (field.primary !== undefined && typeof field.primary !== 'boolean') {
+                errors.push(`${fieldLabel}.primary は true / false で指定してください。`);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * スキーマの手書き用に、YAMLのサブセットを解釈する
+ * 対応: ブロック形式のマッピング・シーケンス、フロー形式の [a, b] / { a: b }、
+ * 引用符付き・無しのスカラー、数値・真偽値・null、# コメント
+ * 複数行文字列（| や >）、アンカー、複数ドキュメントには対応していません。
+ */
+function parseYaml(text) {
+    const lines = [];
+    String(text).split(/\r?\n/).forEach((raw, index) => {
+        if (/^\s*(---|\.\.\.)\s*$/.test(raw) && lines.length === 0) {
+            return;
+        }
+        const content = stripYamlComment(raw).trimEnd();
+        if (!content.trim()) {
+            return;
+        }
+        if (/^\t/.test(content)) {
+            throw inputError(`YAMLの${index + 1}行目: インデントにタブは使用できません。`);
+        }
+        lines.push({ indent: content.length - content.trimStart().length, text: content.trim(), line: index + 1 });
+    });
+    if (lines.length === 0) {
+        throw inputError('スキーマが空です。');
+    }
+
+    let pos = 0;
+    const fail = (line, message) => {
+        throw inputError(`YAMLの${line.line}行目を解釈できません: ${message}`);
+    };
+    const isSequenceItem = line => line.text === '-' || line.text.startsWith('- ');
+
+    const parseBlock = (indent) => {
+        return isSequenceItem(lines[pos]) ? parseSequence(indent) : parseMapping(indent);
+    };
+
+    const parseNested = (parentIndent, allowSameIndentSequence) => {
+        const next = lines[pos];
+        if (next && next.indent > parentIndent) {
+            return parseBlock(next.indent);
+        }
+        if (next && allowSameIndentSequence && next.indent === parentIndent && isSequenceItem(next)) {
+            return parseSequence(parentIndent);
+        }
+        return null;
+    };
+
+    const parseSequence = (indent) => {
+        const items = [];
+        while (pos < lines.length && lines[pos].indent === indent && isSequenceItem(lines[pos])) {
+            const line = lines[pos];
+            const rest = line.text.slice(1).trimStart();
+            if (!rest) {
+                pos++;
+                items.push(parseNested(indent, false));
+            } else if (splitYamlKey(rest)) {
+                // 「- key: value」はマッピングの1行目として、ダッシュの後ろのインデントで読み直す
+                lines[pos] = { ...line, indent: indent + (line.text.length - rest.length), text: rest };
+                items.push(parseMapping(lines[pos].indent));
+            } else {
+                pos++;
+                items.push(parseYamlValue(rest, line, fail));
+            }
+        }
+        if (pos < lines.length && lines[pos].indent > indent) {
+            fail(lines[pos], 'インデントが揃っていません。');
+        }
+        return items;
+    };
+
+    const parseMapping = (indent) => {
+        const map = {};
+        while (pos < lines.length && lines[pos].indent === indent && !isSequenceItem(lines[pos])) {
+            const line = lines[pos];
+            const entry = splitYamlKey(line.text);
+            if (!entry) {
+                fail(line, '「キー: 値」の形式で記述してください。');
+            }
+            pos++;
+            map[entry.key] = entry.value
+                ? parseYamlValue(entry.value, line, fail)
+                : parseNested(indent, true);
+        }
+        if (pos < lines.length && lines[pos].indent > indent) {
+            fail(lines[pos], 'インデントが揃っていません。');
+        }
+        return map;
+    };
+
+    const result = parseBlock(lines[0].indent);
+    if (pos < lines.length) {
+        fail(lines[pos], 'インデントが揃っていません。');
+    }
+    return result;
+}
+
+/**
+ * 引用符の外にある # 以降をコメントとして取り除く
+ */
+function stripYamlComment(raw) {
+    let quote = null;
+    for (let i = 0; i < raw.length; i++) {
+        const char = raw[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+            return raw.slice(0, i);
+        }
+    }
+    return raw;
+}
+
+/**
+ * 「キー: 値」を { key, value } に分割する（キーでなければ null）
+ */
+function splitYamlKey(text) {
+    const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^"'\[\]{},#][^:]*?)\s*:(?:\s+(.*))?$/);
+    if (!match) {
+        return null;
+    }
+    return { key: String(parseYamlScalar(match[1])), value: (match[2] || '').trim() };
+}
+
+/**
+ * 1行の値（フロー形式の [..] / {..} またはスカラー）を解釈する
+ */
+function parseYamlValue(text, line, fail) {
+    if (text.startsWith('[') || text.startsWith('{')) {
+        const close = text.startsWith('[') ? ']' : '}';
+        if (!text.endsWith(close)) {
+            fail(line, `「${close}」が閉じられていません。`);
+        }
+        const items = splitYamlFlow(text.slice(1, -1));
+        if (close === ']') {
+            return items.map(item => parseYamlValue(item, line, fail));
+        }
+        return Object.fromEntries(items.map(item => {
+            const entry = splitYamlKey(item);
+            if (!entry) {
+                fail(line, `「${item}」は「キー: 値」の形式ではありません。`);
+            }
+            return [entry.key, entry.value ? parseYamlValue(entry.value, line, fail) : null];
+        }));
+    }
+    if (text === '|' || text === '>' || /^[|>][+-]?$/.test(text)) {
+        fail(line, '複数行文字列（| や >）には対応していません。1行で記述してください。');
+    }
+    // 「a: b: c」のように引用符の無い値に「: 」が続く書き方はYAMLでは誤りのため、値の一部として扱わない
+    if (!/^["']/.test(text) && /:(\s|$)/.test(text)) {
+        fail(line, `値「${text}」に「: 」が含まれています。値に含める場合は引用符で囲んでください。`);
+    }
+    return parseYamlScalar(text);
+}
+
+/**
+ * フロー形式の中身を、引用符や括弧の内側を除いたカンマで分割する
+ */
+function splitYamlFlow(text) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                current += char + (text[++i] || '');
+                continue;
+            }
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    if (current.trim()) {
+        items.push(current.trim());
+    }
+    return items;
+}
+
+/**
+ * スカラー値を解釈する（引用符付き文字列・数値・真偽値・null・それ以外は文字列）
+ */
+function parseYamlScalar(text) {
+    if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw inputError(`YAMLの文字列 ${text} を解釈できません（「\\」は「\\\\」と書くか、'…' で囲んでください）。`);
+        }
+    }
+    if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (/^(null|Null|NULL|~)$/.test(text)) return null;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+// --- AI Providers ---
+
+// AIの応答として期待するスキーマの形（Geminiの response_schema 形式）
+const AI_SCHEMA_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        baseName: { type: 'STRING' },
+        tables: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    name: { type: 'STRING' },
+                    fields: {
+                        type: 'ARRAY',
+                        items: {
+                            type: 'OBJECT',
+                            properties: {
+                                name: { type: 'STRING' },
+                                type: { type: 'STRING' },
+                                description: { type: 'STRING' },
+                                options: {
+                                    type: 'OBJECT',
+                                    properties: {
+                                        choices: {
+                                            type: 'ARRAY',
+                                            items: {
+                                                type: 'OBJECT',
+                                                properties: {
+                                                    name: { type: 'STRING' },
+                                                    color: { type: 'INTEGER' }
+                                                }
+                                            }
+                                        },
+                                        linkTable: { type: 'STRING' },
+                                        formula: { type: 'STRING' },
+                                        currencyCode: { type: 'STRING' },
+                                        precision: { type: 'INTEGER' },
+                                        percentage: { type: 'BOOLEAN' },
+                                        dateFormat: { type: 'STRING' },
+                                        max: { type: 'INTEGER' },
+                                        symbol: { type: 'STRING' },
+                                        multiple: { type: 'BOOLEAN' },
+                                        prefix: { type: 'STRING' },
+                                        digits: { type: 'INTEGER' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    views: {
+                        type: 'ARRAY',
+                        items: {
+                            type: 'OBJECT',
+                            properties: {
+                                name: { type: 'STRING' },
+                                type: { type: 'STRING' },
+                                filters: {
+                                    type: 'ARRAY',
+                                    items: {
+                                        type: 'OBJECT',
+                                        properties: {
+                                            field: { type: 'STRING' },
+                                            operator: { type: 'STRING' },
+                                            value: { type: 'ARRAY', items: { type: 'STRING' } }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    sampleDataCount: { type: 'NUMBER' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * スキーマ生成に使用できるAIプロバイダー
+ * - label: 画面・エラーメッセージでの表示名
+ * - keyName / modelName: APIキー・モデル名を読み込む環境変数
+ * - buildRequest(config, systemPrompt, messages): { url, headers, body } を返す
+ *   messages は [{ role: 'user' | 'assistant', content }] 形式の会話（誤りの修正を依頼する場合は複数ターンになる）
+ * - extractText(result): 応答JSONから生成テキストを取り出す
+ * いずれも応答テキストは generateSchemaFromAI で同じようにJSONとして解釈・検証されます。
+ */
+const AI_PROVIDERS = {
+    gemini: {
+        label: 'Gemini',
+        keyName: 'GEMINI_API_KEY',
+        modelName: 'GEMINI_MODEL',
+        defaultModel: 'gemini-1.5-flash-latest',
+        buildRequest({ apiKey, model }, systemPrompt, messages) {
+            return {
+                url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${apiKey}`,
+                headers: {},
+                body: {
+                    system_instruction: { parts: { text: systemPrompt } },
+                    contents: messages.map(message => ({
+                        role: message.role === 'assistant' ? 'model' : 'user',
+                        parts: [{ text: message.content }]
+                    })),
+                    generationConfig: {
+                        response_mime_type: 'application/json',
+                        response_schema: AI_SCHEMA_RESPONSE_SCHEMA
+                    }
+                }
+            };
+        },
+        extractText(result) {
+            return result.candidates?.[0]?.content?.parts?.[0]?.text;
+        }
+    },
+
+    // OpenAI互換のChat Completions API（OPENAI_BASE_URL で Ollama / LM Studio などのローカルサーバーも指定可能）
+    openai: {
+        label: 'OpenAI互換',
+        keyName: 'OPENAI_API_KEY',
+        modelName: 'OPENAI_MODEL',
+        defaultModel: 'gpt-4o-mini',
+        // ローカルサーバーを指定した場合はAPIキーが無くても使用できる
+        isKeyOptional: env => Boolean(env.OPENAI_BASE_URL),
+        buildRequest({ apiKey, model, env }, systemPrompt, messages) {
+            const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+            const body = {
+                model,
+                messages: [{ role: 'system', content: systemPrompt }, ...messages]
+            };
+            // JSONモードは公式APIのみ指定する（互換サーバーは対応状況がまちまちなため、応答からJSONを抽出する）
+            if (!env.OPENAI_BASE_URL) {
+                body.response_format = { type: 'json_object' };
+            }
+            return {
+                url: `${baseUrl}/chat/completions`,
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+                body
+            };
+        },
+        extractText(result) {
+            return result.choices?.[0]?.message?.content;
+        }
+    },
+
+    anthropic: {
+        label: 'Anthropic',
+        keyName: 'ANTHROPIC_API_KEY',
+        modelName: 'ANTHROPIC_MODEL',
+        defaultModel: 'claude-3-5-sonnet-latest',
+        buildRequest({ apiKey, model }, systemPrompt, messages) {
+            return {
+                url: 'https://api.anthropic.com/v1/messages',
+                headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+                body: {
+                    model,
+                    max_tokens: 8192,
+                    system: systemPrompt,
+                    messages
+                }
+            };
+        },
+        extractText(result) {
+            return (result.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+        }
+    },
+};
+
+/**
+ * 使用するAIプロバイダーと設定を決める
+ * リクエストの provider / model を優先し、無ければ環境変数 AI_PROVIDER と各プロバイダーのモデル名、既定値の順に使用します。
+ * APIキーや接続先は環境変数からのみ読み込みます。
+ */
+function resolveAiProvider(env, { provider, model } = {}) {
+    const name = String(provider || env.AI_PROVIDER || 'gemini').toLowerCase();
+    const definition = AI_PROVIDERS[name];
+    if (!definition) {
+        throw inputError(`未対応のAIプロバイダーです: ${name}（${Object.keys(AI_PROVIDERS).join(' / ')} から指定してください）`);
+    }
+
+    const apiKey = env[definition.keyName];
+    if (!apiKey && !definition.isKeyOptional?.(env)) {
+        throw new Error(`${definition.keyName} is not configured.`);
+    }
+
+    return {
+        name,
+        apiKey,
+        model: model || env[definition.modelName] || definition.defaultModel,
+        env
+    };
+}
+
+// --- Spreadsheet Import ---
+
+// 取り込めるファイルの最大サイズ（バイト）
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+
+// 1テーブルあたりに取り込む最大行数
+const MAX_IMPORT_ROWS = 2000;
+
+// 取り込み時の batch_create 1回あたりのレコード数
+const IMPORT_BATCH_SIZE = 100;
+
+// タイムゾーンの無い日付・日時を解釈するときのUTCオフセット
+const IMPORT_UTC_OFFSET = '+09:00';
+
+// 値から推定・AIによる調整で使用できるタイプ（メンバー・リンク・数式などは取り込めない）
+const IMPORT_FIELD_TYPES = ['text', 'multiline_text', 'number', 'currency', 'rating', 'progress', 'single_select', 'multi_select', 'date', 'date_time', 'checkbox', 'phone', 'url', 'email', 'barcode'];
+
+// チェックボックスとして扱う値（小文字で比較）
+const CHECKBOX_TRUE_VALUES = ['true', 'yes', 'はい', '✓', '✔', '○', '☑'];
+const CHECKBOX_FALSE_VALUES = ['false', 'no', 'いいえ', '×', '☐'];
+
+/**
+ * アップロードされたCSV / Excel(.xlsx) ファイルを読み込み、テーブルごとの { name, headers, rows } にする
+ * 1ファイルが1テーブルになり、テーブル名はファイル名（拡張子を除く）です。Excelは先頭のシートを使用します。
+ */
+async function parseImportFiles(files) {
+    const sources = [];
+    for (const file of files) {
+        if (file.size > MAX_IMPORT_FILE_BYTES) {
+            throw inputError(`ファイル「${file.name}」が大きすぎます。${MAX_IMPORT_FILE_BYTES / 1024 / 1024}MB以下にしてください。`);
+        }
+
+        const buffer = await file.arrayBuffer();
+        let rows;
+        if (/\.xlsx$/i.test(file.name)) {
+            rows = await readXlsxRows(buffer);
+        } else if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+            rows = parseCsv(decodeImportText(buffer, file.name));
+        } else {
+            throw inputError(`ファイル「${file.name}」は取り込めません。CSVまたはExcel(.xlsx)を指定してください。`);
+        }
+
+        const [headerRow = [], ...dataRows] = rows.filter(row => row.some(cell => String(cell).trim()));
+        if (headerRow.length === 0) {
+            throw inputError(`ファイル「${file.name}」にデータがありません。`);
+        }
+
+        // 空・重複した見出しは「列N」や「名前 (2)」に置き換える
+        const headers = [];
+        headerRow.forEach((cell, index) => {
+            const base = String(cell).trim() || `列${index + 1}`;
+            let name = base;
+            for (let n = 2; headers.includes(name); n++) {
+                name = `${base} (${n})`;
+            }
+            headers.push(name);
+        });
+
+        const baseName = file.name.replace(/\.[^.]+$/, '').trim() || `テーブル${sources.length + 1}`;
+        let name = baseName;
+        for (let n = 2; sources.some(source => source.name === name); n++) {
+            name = `${baseName} (${n})`;
+        }
+
+        sources.push({
+            name,
+            fileName: file.name,
+            headers,
+            rows: dataRows.slice(0, MAX_IMPORT_ROWS).map(row => headers.map((_, index) => String(row[index] ?? '').trim())),
+            truncated: dataRows.length > MAX_IMPORT_ROWS
+        });
+    }
+    return sources;
+}
+
+/**
+ * CSVのバイト列を文字列にする（UTF-8を優先し、解釈できなければShift_JISとして読む）
+ */
+function decodeImportText(buffer, fileName) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (error) {
+        try {
+            return new TextDecoder('shift_jis').decode(buffer);
+        } catch (decodeError) {
+            throw inputError(`ファイル「${fileName}」の文字コードを判別できません。UTF-8で保存し直してください。`);
+        }
+    }
+}
+
+/**
+ * CSV（RFC 4180）を行・列の配列にする
+ * 区切り文字は1行目からカンマ・タブ・セミコロンのいずれかを判定します。
+ */
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', '\t', ';']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Excel(.xlsx) の先頭シートを行・列の配列にする
+ * 日付書式のセルは「yyyy-MM-dd」（時刻があれば「yyyy-MM-dd HH:mm」）の文字列にします。
+ */
+async function readXlsxRows(buffer) {
+    const entries = await readZipEntries(buffer);
+    const readXml = async (path) => {
+        const data = entries.get(path);
+        return data ? new TextDecoder().decode(await data()) : '';
+    };
+
+    const workbook = await readXml('xl/workbook.xml');
+    const rels = await readXml('xl/_rels/workbook.xml.rels');
+    const firstSheetRel = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+    const target = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+        .map(match => match[0])
+        .find(tag => tag.includes(`Id="${firstSheetRel}"`))
+        ?.match(/Target="([^"]+)"/)?.[1];
+    const sheetPath = target ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`) : 'xl/worksheets/sheet1.xml';
+    const sheet = await readXml(sheetPath);
+    if (!sheet) {
+        throw inputError('Excelファイルのシートを読み込めません。');
+    }
+
+    const sharedStrings = [...(await readXml('xl/sharedStrings.xml')).matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(match => readXlsxText(match[1]));
+    const dateStyles = readXlsxDateStyles(await readXml('xl/styles.xml'));
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        const row = [];
+        for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attrs = cellMatch[1];
+            const inner = cellMatch[2] || '';
+            const column = columnIndex(attrs.match(/\br="([A-Z]+)\d+"/)?.[1] || '') ?? row.length;
+            const type = attrs.match(/\bt="(\w+)"/)?.[1];
+            const style = Number(attrs.match(/\bs="(\d+)"/)?.[1] || 0);
+            const raw = decodeXml(inner.match(/<v>([\s\S]*?)<\/v>/)?.[1] || '');
+
+            let value;
+            if (type === 's') {
+                value = sharedStrings[Number(raw)] ?? '';
+            } else if (type === 'inlineStr') {
+                value = readXlsxText(inner);
+            } else if (type === 'b') {
+                value = raw === '1' ? 'TRUE' : 'FALSE';
+            } else if (type === 'e') {
+                value = '';
+            } else if (raw !== '' && !type && dateStyles.has(style)) {
+                value = excelSerialToText(Number(raw));
+            } else {
+                value = raw;
+            }
+            row[column] = value;
+        }
+        rows.push(Array.from(row, cell => cell ?? ''));
+    }
+    return rows;
+}
+
+/**
+ * 列名（A, B, ..., AA）を0始まりの列番号にする
+ */
+function columnIndex(letters) {
+    if (!letters) {
+        return null;
+    }
+    return [...letters].reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * styles.xml から、日付書式が設定されたセルスタイル番号の一覧を取得する
+ */
+function readXlsxDateStyles(styles) {
+    const builtinDateFormats = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+    const customDateFormats = new Set(
+        [...styles.matchAll(/<numFmt\b[^>]*numFmtId="(\d+)"[^>]*formatCode="([^"]*)"/g)]
+            .filter(match => /[ymdhs]/i.test(decodeXml(match[2]).replace(/"[^"]*"|\[[^\]]*\]/g, '')))
+            .map(match => Number(match[1]))
+    );
+    const cellXfs = styles.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+    const dateStyles = new Set();
+    [...cellXfs.matchAll(/<xf\b([^>]*)/g)].forEach((match, index) => {
+        const numFmtId = Number(match[1].match(/numFmtId="(\d+)"/)?.[1] || 0);
+        if (builtinDateFormats.has(numFmtId) || customDateFormats.has(numFmtId)) {
+            dateStyles.add(index);
+        }
+    });
+    return dateStyles;
+}
+
+/**
+ * Excelのシリアル値（1900年起点の日数）を日付文字列にする
+ */
+function excelSerialToText(serial) {
+    const date = new Date(Math.round((serial - 25569) * 86400000));
+    const text = date.toISOString();
+    return serial % 1 === 0 ? text.slice(0, 10) : `${text.slice(0, 10)} ${text.slice(11, 16)}`;
+}
+
+/**
+ * 文字列セル（<si> / <is>）の本文を取り出す
+ * 日本語のExcelが付けるふりがな（<rPh>）の <t> は本文に含めません。
+ */
+function readXlsxText(xml) {
+    return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+        .map(t => decodeXml(t[1]))
+        .join('');
+}
+
+/**
+ * XMLの文字参照を元の文字に戻す
+ */
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * ZIPファイルの中身を、ファイル名 → 展開処理（Uint8Array を返す関数）の Map にする
+ */
+async function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw inputError('Excelファイルを読み込めません（.xlsx形式で保存されているか確認してください）。');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < count; i++) {
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        entries.set(name, async () => method === 0 ? data : inflateRaw(data));
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Deflate圧縮されたデータを展開する
+ */
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 取り込んだ表から、列の値をもとにテーブル構成を推定する
+ */
+function inferSchemaFromSources(sources) {
+    return {
+        baseName: sources.length === 1 ? sources[0].name : `${sources[0].name} ほか${sources.length - 1}件`,
+        tables: sources.map(source => ({
+            name: source.name,
+            source: source.name,
+            importedRows: source.rows.length,
+            sampleDataCount: 0,
+            fields: source.headers.map((header, index) => ({
+                name: header,
+                column: header,
+                ...inferFieldType(source.rows.map(row => row[index]))
+            }))
+        }))
+    };
+}
+
+/**
+ * 列の値からフィールドタイプを推定する（{ type, options } を返す）
+ * すべての値が条件を満たすタイプを、チェックボックス → 日付 → メール → URL → 電話番号 → 数値 → 単一選択 の順に判定します。
+ */
+function inferFieldType(values) {
+    const filled = values.map(value => String(value ?? '').trim()).filter(Boolean);
+    if (filled.length === 0) {
+        return { type: 'text' };
+    }
+    const all = test => filled.every(test);
+
+    if (all(value => [...CHECKBOX_TRUE_VALUES, ...CHECKBOX_FALSE_VALUES].includes(value.toLowerCase()))) {
+        return { type: 'checkbox' };
+    }
+    if (all(value => parseImportDate(value) !== null)) {
+        return { type: filled.some(value => /\d:\d{2}/.test(value)) ? 'date_time' : 'date' };
+    }
+    if (all(value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value))) {
+        return { type: 'email' };
+    }
+    if (all(value => /^https?:\/\/\S+$/i.test(value))) {
+        return { type: 'url' };
+    }
+    if (all(isPhoneNumber)) {
+        return { type: 'phone' };
+    }
+    if (all(value => parseImportNumber(value) !== null)) {
+        return { type: filled.some(value => /[¥￥$€円]/.test(value)) ? 'currency' : 'number' };
+    }
+
+    // 種類が少ない列（10種類以下で、同じ値が繰り返し出てくる）は単一選択にする
+    const distinct = [...new Set(filled)];
+    if (filled.length >= 4 && distinct.length <= 10 && distinct.length <= filled.length / 2 &&
+        distinct.every(value => value.length <= 30)) {
+        return { type: 'single_select', options: { choices: distinct.map(name => ({ name })) } };
+    }
+    return { type: 'text' };
+}
+
+/**
+ * 電話番号らしい値か（0または+で始まる、またはハイフン区切りの10〜15桁）
+ */
+function isPhoneNumber(value) {
+    if (!/^\+?[\d\-\s()]+$/.test(value)) {
+        return false;
+    }
+    const digits = value.replace(/\D/g, '');
+    return digits.length >= 10 && digits.length <= 15 && (/^[0+]/.test(value) || value.includes('-'));
+}
+
+/**
+ * 数値として解釈する（桁区切り・通貨記号を許容。先頭が0の整数はコードとみなし数値にしない）
+ */
+function parseImportNumber(value) {
+    const text = String(value).replace(/[¥￥$€円,\s]/g, '');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) || /^[-+]?0\d/.test(text)) {
+        return null;
+    }
+    return Number(text);
+}
+
+/**
+ * 日付・日時（yyyy-MM-dd / yyyy/MM/dd / yyyy年M月d日、時刻付きも可）をタイムスタンプ（ミリ秒）にする
+ */
+function parseImportDate(value) {
+    const match = String(value).match(/^(\d{4})[-\/.年](\d{1,2})[-\/.月](\d{1,2})日?(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+    const pad = text => text.padStart(2, '0');
+    const time = Date.parse(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${IMPORT_UTC_OFFSET}`);
+    return Number.isNaN(time) || Number(month) > 12 || Number(day) > 31 ? null : time;
+}
+
+/**
+ * 推定したテーブル構成をAIに見直してもらう
+ * テーブル名・フィールド名は取り込む列との対応を保つため変更せず、タイプと選択肢、Base名のみを反映します。
+ */
+async function refineImportedSchema(schema, sources, userPrompt, provider) {
+    const columnLines = schema.tables.flatMap(table => {
+        const source = sources.find(item => item.name === table.source);
+        return table.fields.map((field, index) => {
+            const examples = [...new Set(source.rows.map(row => row[index]).filter(Boolean))].slice(0, 5);
+            return `- ${table.name}.${field.name}（推定: ${field.type}）例: ${examples.join(' / ')}`;
+        });
+    });
+    const prompt = [
+        'CSV / Excelファイルから推定したテーブル構成です。各列のタイプと選択肢を見直し、Base名を付けてください。',
+        `テーブル名とフィールド名は変更せず、そのまま出力してください。使用できるタイプ: ${IMPORT_FIELD_TYPES.join(', ')}`,
+        ...(userPrompt ? [`補足: ${userPrompt}`] : []),
+        '',
+        ...columnLines
+    ].join('\n');
+
+    const refined = normalizeSchema(await generateSchemaFromAI(prompt, provider));
+    return {
+        baseName: refined.baseName || schema.baseName,
+        tables: schema.tables.map(table => {
+            const refinedTable = refined.tables.find(item => item.name === table.name);
+            return {
+                ...table,
+                fields: table.fields.map(field => {
+                    const refinedField = refinedTable?.fields.find(item => item.name === field.name);
+                    if (!refinedField || !IMPORT_FIELD_TYPES.includes(refinedField.type)) {
+                        return field;
+                    }
+                    const { options, ...rest } = field;
+                    const refinedChoices = refinedField.options?.choices;
+                    return {
+                        ...rest,
+                        type: refinedField.type,
+                        ...(refinedChoices?.length ? { options: { choices: refinedChoices } } : (options && refinedField.type === field.type ? { options } : {}))
+                    };
+                })
+            };
+        })
+    };
+}
+
+/**
+ * 取り込んだ表の各行を、確定したスキーマのフィールドタイプに合わせてレコードに変換する
+ * 戻り値: { records: { テーブル名: [{ fields }] }, warnings }
+ */
+function buildImportRecords(tables, sources) {
+    const records = {};
+    const warnings = [];
+
+    for (const table of tables) {
+        const source = sources.find(item => item.name === (table.source || table.name));
+        if (!source) {
+            continue;
+        }
+        if (table.extendsExisting) {
+            warnings.push(`既存テーブル「${table.name}」にはファイルの行を取り込みません。`);
+            continue;
+        }
+        if (source.truncated) {
+            warnings.push(`「${source.fileName}」は先頭の${MAX_IMPORT_ROWS}行のみ取り込みます。`);
+        }
+
+        const columns = table.fields
+            .map(field => ({ field, index: source.headers.indexOf(field.column || field.name) }))
+            .filter(({ field, index }) => {
+                if (index < 0) return false;
+                if (!IMPORT_FIELD_TYPES.includes(field.type)) {
+                    warnings.push(`「${table.name}.${field.name}」（${field.type}）には値を取り込めないため、空欄のままにします。`);
+                    return false;
+                }
+                return true;
+            });
+
+        const invalidCounts = {};
+        records[table.name] = source.rows.map(row => {
+            const fields = {};
+            for (const { field, index } of columns) {
+                const value = coerceImportValue(field.type, row[index], field.options);
+                if (value === undefined) {
+                    invalidCounts[field.name] = (invalidCounts[field.name] || 0) + 1;
+                } else if (value !== null) {
+                    fields[field.name] = value;
+                }
+            }
+            return { fields };
+        }).filter(record => Object.keys(record.fields).length > 0);
+
+        Object.entries(invalidCounts).forEach(([fieldName, count]) => {
+            warnings.push(`「${table.name}.${fieldName}」の${count}件の値はタイプに合わないため、空欄にしました。`);
+        });
+    }
+    return { records, warnings };
+}
+
+/**
+ * セルの値をフィールドタイプに合わせて変換する
+ * 空欄は null、変換できない値は undefined を返します。評価は 1〜options.max（既定は5）の範囲のみ受け付けます。
+ */
+function coerceImportValue(type, raw, options = {}) {
+    const value = String(raw ?? '').trim();
+    if (!value) {
+        return null;
+    }
+
+    switch (type) {
+        case 'number':
+        case 'currency':
+            return parseImportNumber(value) ?? undefined;
+        case 'rating': {
+            const rating = parseImportNumber(value);
+            const max = Number(options?.max) || 5;
+            return rating !== null && rating >= 1 && rating <= max ? Math.round(rating) : undefined;
+        }
+        case 'progress': {
+            // 「45%」「45」は 0.45、「0.45」はそのまま
+            const progress = parseImportNumber(value.replace(/%$/, ''));
+            if (progress === null) return undefined;
+            const ratio = value.endsWith('%') || progress > 1 ? progress / 100 : progress;
+            return ratio >= 0 && ratio <= 1 ? ratio : undefined;
+        }
+        case 'checkbox':
+            if (CHECKBOX_TRUE_VALUES.includes(value.toLowerCase()) || value === '1') return true;
+            if (CHECKBOX_FALSE_VALUES.includes(value.toLowerCase()) || value === '0') return false;
+            return undefined;
+        case 'date':
+        case 'date_time':
+            return parseImportDate(value) ?? undefined;
+        case 'multi_select':
+            return value.split(/[,、]/).map(item => item.trim()).filter(Boolean);
+        default:
+            return value;
+    }
+}
+
+// --- Base Export ---
+
+/**
+ * GET /api/export: 既存Baseの構成をツールのスキーマ形式（{ baseName, tables }）で返す
+ */
+async function handleExport({ env, appToken, region, larkAppId }) {
+    try {
+        const token = parseAppToken(appToken);
+        if (!token) {
+            return jsonResponse({ success: false, error: 'app_token を指定してください。' }, 400);
+        }
+
+        const tenantAccessToken = await getTenantAccessToken(env, { region: region || detectLarkRegion(appToken), appId: larkAppId });
+        const { schema, skippedFields, warnings } = await exportBaseSchema(tenantAccessToken, token);
+        return jsonResponse({
+            success: true,
+            appToken: token,
+            schema,
+            skippedFields,
+            warnings,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error("Error details:", error);
+        return jsonResponse({
+            success: false,
+            error: toUserMessage(error),
+            timestamp: new Date().toISOString()
+        }, error.status || 500);
+    }
+}
+
+/**
+ * 既存Baseのテーブルとフィールドを読み込み、ツールのスキーマに変換する
+ * 対応していないタイプのフィールドは skippedFields に入り、スキーマには含めません。
+ */
+async function exportBaseSchema(token, appToken) {
+    let baseName = appToken;
+    try {
+        const appRes = await apiCall(token, `/base/v1/apps/${appToken}`, { method: 'GET' });
+        baseName = appRes.data?.app?.name || appToken;
+    } catch (error) {
+        console.warn(`Failed to load base name for ${appToken}:`, error.message);
+    }
+
+    const larkTables = await listAllItems(token, `/base/v1/apps/${appToken}/tables`);
+    for (const table of larkTables) {
+        table.fields = await listAllItems(token, `/base/v1/apps/${appToken}/tables/${table.table_id}/fields`);
+    }
+
+    // ID → 名前（リンク先・数式の参照を名前に戻すために使用）
+    const tableNames = Object.fromEntries(larkTables.map(table => [table.table_id, table.name]));
+    const fieldNames = Object.fromEntries(larkTables.map(table => [
+        table.table_id,
+        Object.fromEntries(table.fields.map(field => [field.field_id, field.field_name]))
+    ]));
+    const skippedFields = [];
+    const warnings = [];
+    const duplexBackFieldIds = findDuplexBackFields(larkTables);
+
+    const tables = larkTables.map(table => ({
+        name: table.name,
+        fields: table.fields.map(field => {
+            if (duplexBackFieldIds.has(field.field_id)) {
+                return null;
+            }
+            const exported = toSchemaField(field, table.table_id, { tableNames, fieldNames, warnings });
+            if (!exported) {
+                skippedFields.push({ table: table.name, field: field.field_name, type: field.type, uiType: field.ui_type });
+                return null;
+            }
+            if (exported.type === 'duplex_link' && field.property?.back_field_id) {
+                const backTableId = field.property.table_id;
+                exported.options.backFieldName = fieldNames[backTableId]?.[field.property.back_field_id] || exported.options.backFieldName;
+            }
+            return exported;
+        }).filter(Boolean),
+        sampleDataCount: 0
+    }));
+
+    return { schema: { baseName, tables }, skippedFields, warnings };
+}
+
+/**
+ * 双方向リンクの組のうち、出力しない側（逆方向）のフィールドIDを返す
+ * 逆方向のフィールドは構築時に自動作成されるため片側だけを出力します。
+ * 参照・集計フィールドから使われている側を優先して残します。
+ */
+function findDuplexBackFields(larkTables) {
+    const referenced = new Set(larkTables.flatMap(table => table.fields.flatMap(field =>
+        [...String(field.property?.formula_expression || '').matchAll(/\$field\[(\w+)\]\.\$field/g)].map(match => match[1])
+    )));
+    const decided = new Set();
+    const backFieldIds = new Set();
+
+    for (const field of larkTables.flatMap(table => table.fields)) {
+        const backId = field.property?.back_field_id;
+        if (field.type !== 21 || !backId || decided.has(field.field_id)) {
+            continue;
+        }
+        const keepBack = referenced.has(backId) && !referenced.has(field.field_id);
+        backFieldIds.add(keepBack ? field.field_id : backId);
+        decided.add(field.field_id);
+        decided.add(backId);
+    }
+    return backFieldIds;
+}
+
+/**
+ * Larkのフィールド定義をスキーマのフィールド（{ name, type, options }）に変換する
+ * 数式は同じテーブルのフィールド参照を [フィールド名] に戻します。
+ */
+function toSchemaField(field, tableId, { tableNames, fieldNames, warnings }) {
+    const property = field.property || {};
+    let type = LARK_UI_TYPE_NAMES[field.ui_type] || LARK_FIELD_TYPE_NAMES[field.type];
+    if (!type) {
+        return null;
+    }
+    if (type === 'date' && String(property.date_formatter || '').includes('HH')) {
+        type = 'date_time';
+    }
+
+    const schemaField = { name: field.field_name, type };
+    // 説明は { text } 形式または文字列で返される
+    const description = typeof field.description === 'string' ? field.description : field.description?.text;
+    if (description) {
+        schemaField.description = description;
+    }
+    switch (type) {
+        case 'single_select':
+        case 'multi_select':
+            schemaField.options = {
+                choices: (property.options || []).map(option => ({
+                    name: option.name,
+                    ...(option.color !== undefined ? { color: option.color } : {})
+                }))
+            };
+            break;
+        case 'link':
+        case 'duplex_link':
+            schemaField.options = { linkTable: tableNames[property.table_id] };
+            if (type === 'duplex_link' && property.back_field_name) {
+                schemaField.options.backFieldName = property.back_field_name;
+            }
+            break;
+        case 'formula':
+            return toSchemaFormulaField(field, tableId, { fieldNames, warnings });
+        default: {
+            const options = toSchemaFormatOptions(type, property);
+            if (Object.keys(options).length > 0) {
+                schemaField.options = options;
+            }
+        }
+    }
+    return schemaField;
+}
+
+/**
+ * Larkの表示形式をスキーマの options に戻す（getFieldProperty の逆変換。既定の表示形式の項目は省略する）
+ */
+function toSchemaFormatOptions(type, property) {
+    const options = {};
+    // formatter は 0 / 0.0 / 0.00 / 0.00% などの形式（小数点以下の0の数を桁数とする）
+    const formatter = String(property.formatter || '');
+    const precision = (formatter.split('.')[1] || '').replace(/[^0]/g, '').length;
+    switch (type) {
+        case 'number':
+            if (formatter.includes('%')) {
+                options.percentage = true;
+            }
+            if (precision > 0) {
+                options.precision = precision;
+            }
+            break;
+        case 'currency':
+            if (property.currency_code && property.currency_code !== 'JPY') {
+                options.currencyCode = property.currency_code;
+            }
+            if (precision !== getCurrencyPrecision({ currencyCode: property.currency_code || 'JPY' })) {
+                options.precision = precision;
+            }
+            break;
+        case 'date':
+        case 'date_time':
+        case 'created_time':
+        case 'modified_time':
+            if (property.date_formatter && !['yyyy/MM/dd', 'yyyy/MM/dd HH:mm'].includes(property.date_formatter)) {
+                options.dateFormat = property.date_formatter;
+            }
+            break;
+        case 'auto_number':
+            for (const rule of property.auto_serial?.type === 'custom' ? property.auto_serial.options || [] : []) {
+                if (rule.type === 'fixed_text') options.prefix = rule.value;
+                if (rule.type === 'created_time') options.dateFormat = rule.value;
+                if (rule.type === 'system_number') options.digits = Number(rule.value);
+            }
+            break;
+        case 'rating':
+            if (property.max && property.max !== 5) {
+                options.max = property.max;
+            }
+            if (property.rating?.symbol && property.rating.symbol !== 'star') {
+                options.symbol = property.rating.symbol;
+            }
+            break;
+        case 'member':
+        case 'group_chat':
+            if (property.multiple) {
+                options.multiple = true;
+            }
+            break;
+    }
+    return options;
+}
+
+/**
+ * 数式フィールドをスキーマの formula に戻す（buildFormulaExpression の逆変換）
+ */
+function toSchemaFormulaField(field, tableId, { fieldNames, warnings }) {
+    const expression = String(field.property?.formula_expression || '');
+    const fieldName = (tblId, fldId) => fieldNames[tblId]?.[fldId];
+
+    let crossTable = false;
+    const formula = expression.replace(/bitable::\$table\[(\w+)\]\.\$field\[(\w+)\]/g, (reference, tblId, fldId) => {
+        const name = tblId === tableId && fieldName(tblId, fldId);
+        if (!name) {
+            crossTable = true;
+            return reference;
+        }
+        return `[${name}]`;
+    });
+    if (crossTable) {
+        warnings.push(`数式フィールド「${field.field_name}」に他テーブルへの参照が含まれるため、IDのまま出力しました。`);
+    }
+    return { name: field.field_name, type: 'formula', options: { formula } };
+}
+
+// --- Build Jobs ---
+
+// KV（BUILD_JOBS）が未設定の環境（ローカル開発・テスト）で使用するジョブ保存先
+const memoryJobStore = new Map();
+
+// ジョブ記録の保持期間（秒）
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// 進捗による保存の最小間隔（KVの同一キーへの書き込み制限対策）
+const JOB_SAVE_INTERVAL_MS = 1000;
+
+/**
+ * ジョブの保存先を取得する
+ * BUILD_JOBS（KV Namespace）がバインドされていればKVを、無ければメモリを使用します。
+ */
+function getJobStore(env) {
+    const kv = env.BUILD_JOBS;
+    if (kv) {
+        return {
+            async get(id) {
+                return kv.get(`job:${id}`, 'json');
+            },
+            async put(job) {
+                await kv.put(`job:${job.id}`, JSON.stringify(job), { expirationTtl: JOB_TTL_SECONDS });
+            }
+        };
+    }
+
+    return {
+        async get(id) {
+            return memoryJobStore.get(id) || null;
+        },
+        async put(job) {
+            memoryJobStore.set(job.id, structuredClone(job));
+        }
+    };
+}
+
+/**
+ * ジョブの状況（ステータス、テーブルごとの途中結果、完成したBaseのURL）を返す
+ * 再開用に保存しているスキーマや取り込む行（imports）は返しません。
+ */
+async function handleGetJob({ env, jobId }) {
+    const job = await getJobStore(env).get(jobId);
+    if (!job) {
+        return jsonResponse({ success: false, error: 'ジョブが見つかりません。' }, 404);
+    }
+    const { id, status, createdAt, updatedAt, baseName, baseUrl, details, result, error } = job;
+    return jsonResponse({ success: true, id, status, createdAt, updatedAt, baseName, baseUrl, details, result, error });
+}
+
+/**
+ * 失敗したテーブル・フィールド・レコードバッチだけを同じBaseに対して再試行する
+ * 既に存在するテーブル・フィールドと追加済みのサンプルレコードはスキップします。
+ */
+async function handleRetryJob({ request, env, jobId }) {
+    try {
+        const body = (await request.json().catch(() => null)) || {};
+        const job = await getJobStore(env).get(jobId);
+        if (!job) {
+            return jsonResponse({ success: false, error: 'ジョブが見つかりません。' }, 404);
+        }
+        if (job.status === 'queued' || job.status === 'running') {
+            return jsonResponse({ success: false, error: 'このビルドはまだ実行中です。完了後に再試行してください。' }, 409);
+        }
+        if (job.status === 'rolled_back' && !job.appToken) {
+            return jsonResponse({ success: false, error: 'このビルドはロールバックでBaseごと削除されたため再開できません。新しく作成し直してください。' }, 400);
+        }
+        if (!job.appToken || !job.schema) {
+            return jsonResponse({ success: false, error: 'Baseが作成されていないため再開できません。新しく作成し直してください。' }, 400);
+        }
+
+        const resume = getResumeState(job);
+        const run = emit => resumeBuild(job.schema, resume, env, { emit, onFailure: body.onFailure });
+        if (wantsStream(request, body)) {
+            return streamBuild(env, run, job);
+        }
+
+        return jsonResponse(await runTrackedBuild(env, run, () => {}, job));
+
+    } catch (error) {
+        console.error("Error details:", error);
+        return jsonResponse({
+            success: false,
+            error: toUserMessage(error),
+            timestamp: new Date().toISOString()
+        }, error.status || 500);
+    }
+}
+
+/**
+ * ビルド記録から再開に必要な情報（Base、使用したLarkアプリ、追加済みのサンプルレコード、取り込む行と取り込み済みの行番号、紐付け済み件数）を取り出す
+ */
+function getResumeState(job) {
+    return {
+        appToken: job.appToken,
+        baseUrl: job.baseUrl,
+        region: job.region,
+        larkAppId: job.larkAppId,
+        imports: job.imports || null,
+        recordIds: Object.fromEntries(job.details.filter(d => d.recordIds).map(d => [d.tableName, d.recordIds])),
+        importedRowIndexes: Object.fromEntries(job.details.filter(d => d.importedRowIndexes).map(d => [d.tableName, d.importedRowIndexes])),
+        recordsLinked: Object.fromEntries(job.details.map(d => [d.tableName, d.recordsLinked || 0]))
+    };
+}
+
+/**
+ * 新しいジョブ（ビルド記録）を作成する
+ */
+function createJobRecord() {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        baseName: null,
+        baseUrl: null,
+        appToken: null,
+        region: null,
+        larkAppId: null,
+        schema: null,
+        imports: null,
+        details: [],
+        result: null,
+        error: null
+    };
+}
+
+/**
+ * ビルド記録を残しながら構築処理を実行し、結果を返す（失敗時は例外）
+ * 結果の buildId を使って POST /api/jobs/:id/retry で再試行できます。
+ */
+async function runTrackedBuild(env, run, emit = () => {}, job = createJobRecord()) {
+    await runJob(job, getJobStore(env), run, emit);
+    if (job.error) {
+        throw new Error(job.error);
+    }
+    return { ...job.result, buildId: job.id };
+}
+
+/**
+ * ジョブとして構築処理（run）を実行し、進捗と結果をジョブ記録に保存する
+ * emit を渡すと進捗イベントを呼び出し元にも通知します。
+ */
+async function runJob(job, store, run, emit = () => {}) {
+    let lastSavedAt = 0;
+    // 保存は1件ずつ順番に行う（途中の保存が遅れて完了し、最後の保存を古い状態で上書きしないようにする）
+    let saving = Promise.resolve();
+    const save = (force = false) => {
+        const now = Date.now();
+        if (!force && now - lastSavedAt < JOB_SAVE_INTERVAL_MS) {
+            return Promise.resolve();
+        }
+        lastSavedAt = now;
+        saving = saving.catch(() => {}).then(() => {
+            job.updatedAt = new Date().toISOString();
+            return store.put(job);
+        });
+        return saving;
+    };
+
+    job.status = 'running';
+    job.details = [];
+    job.error = null;
+    await save(true);
+
+    try {
+        const result = await run((event) => {
+            applyJobEvent(job, event);
+            save().catch(error => console.warn(`Failed to save job ${job.id}:`, error.message));
+            const { imports: _, ...forwarded } = event;
+            return emit(forwarded);
+        });
+        job.status = result.rollback ? 'rolled_back' : 'completed';
+        job.result = result;
+        job.baseUrl = result.baseUrl;
+        job.details = result.details;
+        if (result.rollback?.baseDeleted) {
+            // Baseごと削除したため、このビルドは再開できない
+            job.appToken = null;
+        }
+    } catch (error) {
+        console.error(`Job ${job.id} failed:`, error);
+        job.status = error.rollback ? 'rolled_back' : 'failed';
+        job.error = toUserMessage(error);
+        if (error.rollback) {
+            job.details = forgetRolledBackRecords(job.details, error.rollback);
+            if (error.rollback.baseDeleted) job.appToken = null;
+        }
+    }
+
+    await save(true);
+}
+
+/**
+ * 進捗イベントをジョブ記録の途中結果（details）に反映する
+ */
+function applyJobEvent(job, event) {
+    const detail = job.details.find(d => d.tableName === event.table);
+
+    switch (event.type) {
+        case 'schema_generated':
+            job.baseName = event.baseName;
+            job.schema = event.schema;
+            job.imports = event.imports || null;
+            break;
+        case 'base_created':
+        case 'base_resumed':
+        case 'base_extended':
+            job.appToken = event.appToken;
+            job.baseUrl = event.baseUrl;
+            job.region = event.region || job.region;
+            job.larkAppId = event.larkAppId || job.larkAppId;
+            break;
+        case 'table_created':
+        case 'table_existing':
+            job.details.push({
+                tableName: event.table,
+                status: 'Building',
+                tableId: event.tableId,
+                fieldsCreated: 0,
+                recordsAdded: 0
+            });
+            break;
+        case 'table_failed':
+            job.details.push({ tableName: event.table, status: 'Failed', error: event.error });
+            break;
+        case 'field_created':
+        case 'field_existing':
+            if (detail) detail.fieldsCreated++;
+            break;
+        case 'records_batch':
+            if (detail && event.status === 'done') {
+                detail.recordsAdded += event.count;
+                detail.recordIds = [...(detail.recordIds || []), ...(event.recordIds || [])];
+                if (event.rows) detail.importedRowIndexes = [...(detail.importedRowIndexes || []), ...event.rows];
+            }
+            break;
+        case 'records_linked':
+            if (detail) detail.recordsLinked = event.count;
+            break;
+        case 'view_created':
+        case 'view_existing':
+            if (detail) detail.viewsCreated = (detail.viewsCreated || 0) + 1;
+            break;
+    }
+}
+
+/**
+ * エラー内容をユーザー向けのメッセージに変換する
+ */
+function toUserMessage(error) {
+    let userMessage = error.message;
+    if (error.message.includes('_API_KEY is not configured')) {
+        userMessage = 'AI機能の設定に問題があります。管理者にお問い合わせください。';
+    } else if (error.message.includes('tenant_access_token')) {
+        userMessage = 'Lark APIの認証に失敗しました。設定を確認してください。';
+    } else if (error.message.includes('rate limit') || error.message.includes('429')) {
+        userMessage = 'APIの利用制限に達しました。しばらく待ってから再試行してください。';
+    }
+    return userMessage;
+}
+
+/**
+ * フロントエンドのHTML UIを生成する関数（完全改善版）
+ * env から接続先（リージョン・Larkアプリ）の選択肢を埋め込みます。
+ */
+function serveHtml(env) {
+    const html = '
+    <!DOCTYPE html>
+    <html lang="ja">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Lark Base 自動構築ツール (AI対応版)</title>
+        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+        <style>
+            :root {
+                --primary-gradient: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                --secondary-gradient: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
+                --success-gradient: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%);
+                --error-gradient: linear-gradient(135deg, #fa709a 0%, #fee140 100%);
+                --warning-gradient: linear-gradient(135deg, #ffecd2 0%, #fcb69f 100%);
+                --glass-bg: rgba(255, 255, 255, 0.25);
+                --glass-border: rgba(255, 255, 255, 0.18);
+                --text-primary: #2d3748;
+                --text-secondary: #4a5568;
+                --text-muted: #718096;
+                --shadow-sm: 0 1px 3px rgba(0, 0, 0, 0.12), 0 1px 2px rgba(0, 0, 0, 0.24);
+                --shadow-md: 0 4px 6px rgba(0, 0, 0, 0.07), 0 2px 4px rgba(0, 0, 0, 0.06);
+                --shadow-lg: 0 10px 15px rgba(0, 0, 0, 0.1), 0 4px 6px rgba(0, 0, 0, 0.05);
+                --shadow-xl: 0 20px 25px rgba(0, 0, 0, 0.1), 0 10px 10px rgba(0, 0, 0, 0.04);
+            }
+
+            * { 
+                box-sizing: border-box; 
+                margin: 0; 
+                padding: 0; 
+            }
+
+            body { 
+                font-family: 'Inter', -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; 
+                line-height: 1.6; 
+                background: var(--primary-gradient);
+                min-height: 100vh;
+                color: var(--text-primary);
+                overflow-x: hidden;
+            }
+
+            .background-animation {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                z-index: -1;
+                background: var(--primary-gradient);
+            }
+
+            .background-animation::before {
+                content: '';
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><defs><pattern id="grain" width="100" height="100" patternUnits="userSpaceOnUse"><circle cx="25" cy="25" r="1" fill="rgba(255,255,255,0.1)"/><circle cx="75" cy="75" r="1" fill="rgba(255,255,255,0.1)"/><circle cx="50" cy="10" r="0.5" fill="rgba(255,255,255,0.05)"/><circle cx="10" cy="60" r="0.5" fill="rgba(255,255,255,0.05)"/><circle cx="90" cy="40" r="0.5" fill="rgba(255,255,255,0.05)"/></pattern></defs><rect width="100" height="100" fill="url(%23grain)"/></svg>');
+                animation: float 20s ease-in-out infinite;
+            }
+
+            @keyframes float {
+                0%, 100% { transform: translateY(0px) rotate(0deg); }
+                50% { transform: translateY(-20px) rotate(1deg); }
+            }
+
+            .container { 
+                max-width: 1000px;
+                margin: 0 auto;
+                padding: 2rem;
+                position: relative;
+                z-index: 1;
+            }
+
+            .main-card {
+                background: var(--glass-bg);
+                backdrop-filter: blur(20px);
+                border: 1px solid var(--glass-border);
+                border-radius: 24px;
+                padding: 3rem;
+                box-shadow: var(--shadow-xl);
+                position: relative;
+                overflow: hidden;
+            }
+
+            .main-card::before {
+                content: '';
+                position: absolute;
+                top: 0;
+                left: 0;
+                right: 0;
+                height: 1px;
+                background: linear-gradient(90deg, transparent, rgba(255,255,255,0.4), transparent);
+            }
+
+            .header {
+                text-align: center;
+                margin-bottom: 3rem;
+            }
+
+            .header h1 { 
+                font-size: 3rem; 
+                font-weight: 700;
+                background: linear-gradient(135deg, #667eea, #764ba2);
+                -webkit-background-clip: text;
+                -webkit-text-fill-color: transparent;
+                background-clip: text;
+                margin-bottom: 0.5rem;
+                letter-spacing: -0.02em;
+            }
+
+            .header .subtitle {
+                font-size: 1.25rem;
+                color: var(--text-secondary);
+                font-weight: 400;
+                opacity: 0.8;
+            }
+
+            .feature-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
+                gap: 1.5rem;
+                margin-bottom: 3rem;
+            }
+
+            .feature-card {
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                border-radius: 16px;
+                padding: 1.5rem;
+                text-align: center;
+                transition: all 0.3s ease;
+                backdrop-filter: blur(10px);
+            }
+
+            .feature-card:hover {
+                transform: translateY(-5px);
+                box-shadow: var(--shadow-lg);
+                background: rgba(255, 255, 255, 0.15);
+            }
+
+            .feature-icon {
+                font-size: 2.5rem;
+                margin-bottom: 1rem;
+                display: block;
+            }
+
+            .feature-title {
+                font-size: 1.1rem;
+                font-weight: 600;
+                color: white;
+                margin-bottom: 0.5rem;
+            }
+
+            .feature-desc {
+                font-size: 0.9rem;
+                color: rgba(255, 255, 255, 0.8);
+                line-height: 1.5;
+            }
+
+            .info-section {
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                border-radius: 16px;
+                padding: 2rem;
+                margin-bottom: 2rem;
+                backdrop-filter: blur(10px);
+            }
+
+            .info-section h3 {
+                color: white;
+                font-size: 1.3rem;
+                font-weight: 600;
+                margin-bottom: 1rem;
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+            }
+
+            .tips-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                gap: 1rem;
+            }
+
+            .tip-item {
+                background: rgba(255, 255, 255, 0.05);
+                border-radius: 12px;
+                padding: 1rem;
+                border-left: 3px solid #4facfe;
+            }
+
+            .tip-title {
+                font-weight: 600;
+                color: white;
+                margin-bottom: 0.5rem;
+                font-size: 0.95rem;
+            }
+
+            .tip-desc {
+                color: rgba(255, 255, 255, 0.8);
+                font-size: 0.85rem;
+                line-height: 1.4;
+            }
+
+            .form-section {
+                margin-bottom: 2rem;
+            }
+
+            .form-group {
+                margin-bottom: 1.5rem;
+            }
+
+            label { 
+                display: block; 
+                font-weight: 600; 
+                margin-bottom: 0.75rem; 
+                color: white;
+                font-size: 1.1rem;
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+            }
+
+            .textarea-container {
+                position: relative;
+            }
+
+            textarea { 
+                width: 100%; 
+                height: 200px; 
+                padding: 1.5rem; 
+                border-radius: 16px; 
+                border: 2px solid rgba(255, 255, 255, 0.2); 
+                font-size: 16px; 
+                resize: vertical;
+                transition: all 0.3s ease;
+                font-family: inherit;
+                background: rgba(255, 255, 255, 0.1);
+                color: white;
+                backdrop-filter: blur(10px);
+            }
+
+            textarea::placeholder {
+                color: rgba(255, 255, 255, 0.6);
+            }
+
+            textarea:focus { 
+                border-color: #4facfe; 
+                outline: 0; 
+                box-shadow: 0 0 0 0.25rem rgba(79, 172, 254, 0.25);
+                transform: translateY(-2px);
+                background: rgba(255, 255, 255, 0.15);
+            }
+
+            .char-counter {
+                position: absolute;
+                bottom: 1rem;
+                right: 1rem;
+                font-size: 0.85rem;
+                color: rgba(255, 255, 255, 0.6);
+                background: rgba(0, 0, 0, 0.3);
+                padding: 0.25rem 0.5rem;
+                border-radius: 6px;
+                backdrop-filter: blur(5px);
+            }
+
+            .submit-button { 
+                background: var(--success-gradient);
+                color: white; 
+                padding: 1.25rem 2rem; 
+                border: none; 
+                border-radius: 16px; 
+                cursor: pointer; 
+                font-size: 1.1rem; 
+                font-weight: 600; 
+                width: 100%; 
+                transition: all 0.3s ease;
+                position: relative;
+                overflow: hidden;
+                box-shadow: var(--shadow-md);
+                text-transform: none;
+                letter-spacing: 0.025em;
+            }
+
+            .submit-button::before {
+                content: '';
+                position: absolute;
+                top: 0;
+                left: -100%;
+                width: 100%;
+                height: 100%;
+                background: linear-gradient(90deg, transparent, rgba(255,255,255,0.2), transparent);
+                transition: left 0.5s;
+            }
+
+            .submit-button:hover:not(:disabled)::before {
+                left: 100%;
+            }
+
+            .submit-button:hover:not(:disabled) { 
+                transform: translateY(-3px); 
+                box-shadow: var(--shadow-lg);
+            }
+
+            .submit-button:disabled { 
+                background: linear-gradient(135deg, #a0aec0, #718096);
+                cursor: not-allowed; 
+                transform: none;
+                box-shadow: var(--shadow-sm);
+            }
+
+            .result-container { 
+                margin-top: 2rem; 
+            }
+
+            .loading-section {
+                text-align: center;
+                padding: 2rem;
+                display: none;
+            }
+
+            .spinner { 
+                width: 50px; 
+                height: 50px; 
+                border: 4px solid rgba(255, 255, 255, 0.3); 
+                border-top: 4px solid #4facfe; 
+                border-radius: 50%; 
+                animation: spin 1s linear infinite; 
+                margin: 0 auto 1rem; 
+            }
+
+            @keyframes spin { 
+                0% { transform: rotate(0deg); } 
+                100% { transform: rotate(360deg); } 
+            }
+
+            .progress-steps {
+                margin-top: 1.5rem;
+                display: none;
+            }
+
+            .step {
+                padding: 1rem;
+                margin: 0.5rem 0;
+                border-radius: 12px;
+                font-size: 0.95rem;
+                transition: all 0.3s ease;
+                background: rgba(255, 255, 255, 0.05);
+                border-left: 4px solid rgba(255, 255, 255, 0.2);
+                color: rgba(255, 255, 255, 0.7);
+            }
+
+            .step.active {
+                background: rgba(79, 172, 254, 0.2);
+                color: #4facfe;
+                border-left-color: #4facfe;
+                transform: translateX(5px);
+            }
+
+            .step.completed {
+                background: rgba(72, 187, 120, 0.2);
+                color: #48bb78;
+                border-left-color: #48bb78;
+            }
+
+            .table-progress {
+                margin-top: 1.5rem;
+                text-align: left;
+            }
+
+            .table-progress-item {
+                margin-bottom: 0.75rem;
+                color: rgba(255, 255, 255, 0.85);
+                font-size: 0.85rem;
+            }
+
+            .table-progress-label {
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: 0.25rem;
+            }
+
+            .table-progress-bar {
+                height: 8px;
+                border-radius: 4px;
+                background: rgba(255, 255, 255, 0.15);
+                overflow: hidden;
+            }
+
+            .table-progress-fill {
+                height: 100%;
+                width: 0;
+                background: var(--success-gradient);
+                transition: width 0.3s ease;
+            }
+
+            .table-progress-item.failed .table-progress-fill {
+                background: #f56565;
+            }
+
+            .table-progress-item.has-errors .table-progress-fill {
+                background: linear-gradient(135deg, #4facfe 0%, #ed8936 100%);
+            }
+
+            .result-success {
+                background: rgba(72, 187, 120, 0.1);
+                border: 1px solid rgba(72, 187, 120, 0.3);
+                color: #48bb78;
+                padding: 2rem;
+                border-radius: 16px;
+                margin-top: 1rem;
+                backdrop-filter: blur(10px);
+            }
+
+            .result-error {
+                background: rgba(245, 101, 101, 0.1);
+                border: 1px solid rgba(245, 101, 101, 0.3);
+                color: #f56565;
+                padding: 2rem;
+                border-radius: 16px;
+                margin-top: 1rem;
+                backdrop-filter: blur(10px);
+            }
+
+            .result-title {
+                font-size: 1.3rem;
+                font-weight: 600;
+                margin-bottom: 1rem;
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+            }
+
+            .result-content {
+                line-height: 1.6;
+            }
+
+            .result-content strong {
+                font-weight: 600;
+            }
+
+            .result-url {
+                color: #4facfe;
+                text-decoration: none;
+                font-weight: 500;
+                transition: all 0.2s ease;
+            }
+
+            .result-url:hover {
+                text-decoration: underline;
+                color: #63b3ed;
+            }
+
+            .review-section {
+                display: none;
+                margin-top: 2rem;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                border-radius: 16px;
+                padding: 2rem;
+                backdrop-filter: blur(10px);
+                color: white;
+            }
+
+            .review-title {
+                font-size: 1.3rem;
+                font-weight: 600;
+                margin-bottom: 0.5rem;
+            }
+
+            .review-note {
+                font-size: 0.85rem;
+                color: rgba(255, 255, 255, 0.7);
+                margin-bottom: 1.5rem;
+            }
+
+            .review-input {
+                width: 100%;
+                padding: 0.5rem 0.75rem;
+                border-radius: 8px;
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                background: rgba(255, 255, 255, 0.1);
+                color: white;
+                font-family: inherit;
+                font-size: 0.9rem;
+            }
+
+            .review-input:focus {
+                border-color: #4facfe;
+                outline: 0;
+            }
+
+            .review-input:disabled {
+                opacity: 0.4;
+            }
+
+            select.review-input option {
+                color: var(--text-primary);
+            }
+
+            .review-table-card {
+                background: rgba(0, 0, 0, 0.15);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 12px;
+                padding: 1rem;
+                margin-bottom: 1rem;
+            }
+
+            .review-table-header {
+                display: flex;
+                gap: 0.5rem;
+                align-items: center;
+                margin-bottom: 0.75rem;
+            }
+
+            .review-grid {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.85rem;
+            }
+
+            .review-grid th {
+                text-align: left;
+                font-weight: 500;
+                color: rgba(255, 255, 255, 0.7);
+                padding: 0.25rem;
+            }
+
+            .review-grid td {
+                padding: 0.25rem;
+                vertical-align: middle;
+            }
+
+            .icon-button {
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                border-radius: 6px;
+                color: white;
+                cursor: pointer;
+                padding: 0.3rem 0.5rem;
+                font-size: 0.8rem;
+                white-space: nowrap;
+            }
+
+            .icon-button:hover:not(:disabled) {
+                background: rgba(255, 255, 255, 0.2);
+            }
+
+            .icon-button:disabled {
+                opacity: 0.3;
+                cursor: not-allowed;
+            }
+
+            .review-option {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                margin-top: 1.5rem;
+                font-size: 0.9rem;
+                color: rgba(255, 255, 255, 0.85);
+            }
+
+            .review-actions {
+                display: flex;
+                gap: 1rem;
+                margin-top: 1.5rem;
+            }
+
+            .review-actions .icon-button {
+                padding: 1rem 1.5rem;
+                font-size: 1rem;
+                border-radius: 16px;
+            }
+
+            .examples-section {
+                margin-top: 2rem;
+                background: rgba(255, 255, 255, 0.05);
+                border-radius: 16px;
+                padding: 1.5rem;
+                border: 1px solid rgba(255, 255, 255, 0.1);
+            }
+
+            .examples-title {
+                color: white;
+                font-size: 1.1rem;
+                font-weight: 600;
+                margin-bottom: 1rem;
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+            }
+
+            .example-item {
+                background: rgba(255, 255, 255, 0.05);
+                border-radius: 8px;
+                padding: 1rem;
+                margin-bottom: 0.75rem;
+                cursor: pointer;
+                transition: all 0.2s ease;
+                border: 1px solid rgba(255, 255, 255, 0.1);
+            }
+
+            .example-item:hover {
+                background: rgba(255, 255, 255, 0.1);
+                transform: translateX(5px);
+            }
+
+            .example-title {
+                font-weight: 600;
+                color: white;
+                margin-bottom: 0.25rem;
+                font-size: 0.9rem;
+            }
+
+            .example-desc {
+                color: rgba(255, 255, 255, 0.7);
+                font-size: 0.8rem;
+                line-height: 1.4;
+            }
+
+            @media (max-width: 768px) {
+                .container { 
+                    padding: 1rem; 
+                }
+                .main-card { 
+                    padding: 2rem; 
+                }
+                .header h1 { 
+                    font-size: 2.2rem; 
+                }
+                .header .subtitle {
+                    font-size: 1.1rem;
+                }
+                textarea { 
+                    height: 150px; 
+                    padding: 1rem;
+                }
+                .feature-grid {
+                    grid-template-columns: 1fr;
+                }
+                .tips-grid {
+                    grid-template-columns: 1fr;
+                }
+            }
+
+            @media (max-width: 480px) {
+                .header h1 { 
+                    font-size: 1.8rem; 
+                }
+                .main-card {
+                    padding: 1.5rem;
+                }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="background-animation"></div>
+        
+        <div class="container">
+            <div class="main-card">
+                <div class="header">
+                    <h1>🚀 Lark Base AI Builder</h1>
+                    <p class="subtitle">AIが自動でデータベース設計を行い、完璧なLark Baseを構築します</p>
+                </div>
+
+                <div class="feature-grid">
+                    <div class="feature-card">
+                        <span class="feature-icon">🤖</span>
+                        <div class="feature-title">AI自動設計</div>
+                        <div class="feature-desc">自然言語から最適なテーブル構造を自動生成</div>
+                    </div>
+                    <div class="feature-card">
+                        <span class="feature-icon">⚡</span>
+                        <div class="feature-title">高速構築</div>
+                        <div class="feature-desc">数分でプロフェッショナルなBaseが完成</div>
+                    </div>
+                    <div class="feature-card">
+                        <span class="feature-icon">🎯</span>
+                        <div class="feature-title">精密設計</div>
+                        <div class="feature-desc">業務に最適化されたフィールド設計</div>
+                    </div>
+                    <div class="feature-card">
+                        <span class="feature-icon">📊</span>
+                        <div class="feature-title">サンプルデータ</div>
+                        <div class="feature-desc">すぐに使えるテストデータを自動生成</div>
+                    </div>
+                </div>
+                
+                <div class="info-section">
+                    <h3>💡 効果的な指示のコツ</h3>
+                    <div class="tips-grid">
+                        <div class="tip-item">
+                            <div class="tip-title">具体的に記述</div>
+                            <div class="tip-desc">「顧客管理」ではなく「顧客名、電話番号、担当者を管理」</div>
+                        </div>
+                        <div class="tip-item">
+                            <div class="tip-title">項目を明記</div>
+                            <div class="tip-desc">管理したいデータの種類を具体的に列挙</div>
+                        </div>
+                        <div class="tip-item">
+                            <div class="tip-title">関係性を説明</div>
                             <div class="tip-desc">テーブル間の関連があれば記述</div>
                         </div>
-                        <div class="tip-item">
-                            <div class="tip-title">業務フローを含める</div>
-                            <div class="tip-desc">どのような流れで使用するかを説明</div>
+                        <div class="tip-item">
+                            <div class="tip-title">業務フローを含める</div>
+                            <div class="tip-desc">どのような流れで使用するかを説明</div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="form-section">
+                    <div class="form-group">
+                        <label for="prompt">📝 作成したいBaseの内容を詳しく説明してください</label>
+                        <div class="textarea-container">
+                            <textarea 
+                                id="prompt" 
+                                placeholder="例：営業チームで使う顧客管理と商談管理のBaseを作って。&#10;&#10;【顧客情報】&#10;・会社名、担当者名、電話番号、メールアドレス&#10;・業界（IT、製造業、サービス業など）&#10;・顧客ランク（A、B、C）&#10;・担当営業&#10;&#10;【商談情報】&#10;・商談名、金額、進捗状況&#10;・受注確度（高、中、低）&#10;・商談開始日、予定完了日&#10;・関連顧客"
+                                maxlength="2000"
+                                oninput="updateCharCounter()"
+                            ></textarea>
+                            <div class="char-counter" id="char-counter">0 / 2000</div>
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="import-files">📄 CSV / Excelから作成する場合（任意）</label>
+                        <input class="review-input" type="file" id="import-files" accept=".csv,.tsv,.xlsx" multiple>
+                        <label class="review-option" style="margin-top: 0.5rem;">
+                            <input type="checkbox" id="import-refine">
+                            列のタイプをAIに見直してもらう（上の説明も参考にします）
+                        </label>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="target-base">🧩 既存のBaseに追加する場合（任意）</label>
+                        <input class="review-input" id="target-base" placeholder="BaseのURL（https://xxx.larksuite.com/base/... / https://xxx.feishu.cn/base/...）または app_token" oninput="selectRegionFromUrl(this.value)">
+                    </div>
+
+                    <div class="form-group" id="lark-app-group" style="display: none;">
+                        <label for="lark-app">🌏 接続先</label>
+                        <select class="review-input" id="lark-app"></select>
+                    </div>
+                    
+                    <button class="submit-button" id="submit-button" onclick="requestPreview()">
+                        🤖 AIにBaseの設計を依頼
+                    </button>
+                </div>
+
+                <div class="examples-section">
+                    <div class="examples-title">📋 使用例</div>
+                    <div class="example-item" onclick="setExample(0)">
+                        <div class="example-title">営業管理システム</div>
+                        <div class="example-desc">顧客情報と商談進捗を管理するCRMシステム</div>
+                    </div>
+                    <div class="example-item" onclick="setExample(1)">
+                        <div class="example-title">プロジェクト管理</div>
+                        <div class="example-desc">タスク、メンバー、進捗を一元管理</div>
+                    </div>
+                    <div class="example-item" onclick="setExample(2)">
+                        <div class="example-title">在庫管理システム</div>
+                        <div class="example-desc">商品、入出庫、在庫数を追跡管理</div>
+                    </div>
+                </div>
+                
+                <div class="result-container" id="result-container">
+                    <div class="loading-section" id="loading-section">
+                        <div class="spinner"></div>
+                        <div style="color: white; font-weight: 500;">AIがBaseを構築中...</div>
+                        <div class="progress-steps" id="progress-steps">
+                            <div class="step" id="step-1">🔍 AI分析中...</div>
+                            <div class="step" id="step-2">🏗️ Base作成中...</div>
+                            <div class="step" id="step-3">📋 テーブル構築中...</div>
+                            <div class="step" id="step-4">📊 サンプルデータ追加中...</div>
+                        </div>
+                        <div class="table-progress" id="table-progress"></div>
+                    </div>
+                    <div class="review-section" id="review-section"></div>
+                    <div id="result"></div>
+                </div>
+            </div>
+        </div>
+
+        <script>
+            const examples = [
+                \`営業チームで使う顧客管理と商談管理のBaseを作って。
+
+【顧客情報テーブル】
+・会社名、担当者名、電話番号、メールアドレス
+・業界（IT、製造業、サービス業、金融、その他）
+・顧客ランク（A、B、C）
+・担当営業、登録日
+・住所、ウェブサイト
+
+【商談情報テーブル】
+・商談名、関連顧客、金額
+・進捗状況（提案、交渉、契約、完了、失注）
+・受注確度（高、中、低）
+・商談開始日、予定完了日
+・担当営業、備考\`,
+
+                \`開発チーム用のプロジェクト管理Baseを作って。
+
+【プロジェクトテーブル】
+・プロジェクト名、説明、開始日、終了予定日
+・ステータス（計画中、進行中、完了、保留）
+・優先度（高、中、低）
+・プロジェクトマネージャー、予算
+
+【タスクテーブル】
+・タスク名、説明、関連プロジェクト
+・担当者、ステータス（未着手、進行中、完了）
+・開始日、期限、実際の完了日
+・工数（時間）、優先度
+
+【メンバーテーブル】
+・名前、役職、スキル
+・メールアドレス、参加プロジェクト数\`,
+
+                \`小売店の在庫管理システムを作って。
+
+【商品マスタテーブル】
+・商品名、商品コード、カテゴリ
+・仕入価格、販売価格、メーカー
+・最小在庫数、商品説明
+
+【在庫テーブル】
+・商品、現在庫数、安全在庫数
+・最終入庫日、最終出庫日
+・在庫状況（正常、不足、過剰）
+
+【入出庫履歴テーブル】
+・商品、入出庫区分（入庫、出庫）
+・数量、日時、担当者
+・備考、関連伝票番号\`
+            ];
+
+            function setExample(index) {
+                document.getElementById('prompt').value = examples[index];
+                updateCharCounter();
+            }
+
+            function updateCharCounter() {
+                const textarea = document.getElementById('prompt');
+                const counter = document.getElementById('char-counter');
+                const length = textarea.value.length;
+                counter.textContent = \`\${length} / 2000\`;
+                
+                if (length > 1800) {
+                    counter.style.color = '#f56565';
+                } else if (length > 1500) {
+                    counter.style.color = '#ed8936';
+                } else {
+                    counter.style.color = 'rgba(255, 255, 255, 0.6)';
+                }
+            }
+
+            // 確認画面で選択できるフィールドタイプ
+            const FIELD_TYPES = ${JSON.stringify(FIELD_TYPE_LABELS)};
+            const SELECT_TYPES = ['single_select', 'multi_select'];
+            const LINK_TYPES = ${JSON.stringify(LINK_FIELD_TYPES)};
+            const ROLLUP_AGGREGATES = ${JSON.stringify(ROLLUP_AGGREGATES)};
+            const PRIMARY_TYPES = ${JSON.stringify(PRIMARY_FIELD_TYPES)};
+            const MAX_DECIMAL_PRECISION = ${JSON.stringify(MAX_DECIMAL_PRECISION)};
+            const DATE_FORMATS = ${JSON.stringify(DATE_FORMATS)};
+            const RATING_SYMBOLS = ${JSON.stringify(RATING_SYMBOLS)};
+            const MAX_RATING = ${JSON.stringify(MAX_RATING)};
+            const AUTO_NUMBER_DATE_FORMATS = ${JSON.stringify(AUTO_NUMBER_DATE_FORMATS)};
+            const MAX_AUTO_NUMBER_DIGITS = ${JSON.stringify(MAX_AUTO_NUMBER_DIGITS)};
+            const IMPORT_BATCH_SIZE = ${JSON.stringify(IMPORT_BATCH_SIZE)};
+            // 確認画面で選択できるビューのタイプと、グループ化・日付に使えるフィールドタイプ
+            const VIEW_TYPES = ${JSON.stringify(VIEW_TYPE_LABELS)};
+            const VIEW_GROUP_TYPES = ${JSON.stringify(VIEW_GROUP_FIELD_TYPES)};
+            const VIEW_DATE_TYPES = ${JSON.stringify(VIEW_DATE_FIELD_TYPES)};
+            // 設定されているLarkアプリ（{ region, appId, label, name }）
+            const LARK_APPS = ${JSON.stringify(listLarkAppOptions(env))};
+
+            // AIが設計し、ユーザーが確認画面で編集中のスキーマ
+            let reviewSchema = null;
+            // 既存Baseへの追加時の追加先（{ appToken, baseUrl, tables: 既存テーブル名 }）
+            let reviewTarget = null;
+            // 設計時に選んだ接続先（{ region, larkAppId }。作成時にも同じ接続先を使う）
+            let reviewLarkApp = {};
+            let reviewWarnings = [];
+            // 取り込むCSV / Excelファイル（作成時にも同じファイルを送る）
+            let reviewFiles = [];
+            // 失敗時に作成済みの内容をすべて削除するか
+            let rollbackOnFailure = false;
+
+            function escapeHtml(value) {
+                return String(value ?? '')
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;');
+            }
+
+            // 接続先の選択肢（複数のLarkアプリが設定されている場合のみ表示）
+            function renderLarkApps() {
+                const select = document.getElementById('lark-app');
+                const regionCount = {};
+                LARK_APPS.forEach(app => { regionCount[app.region] = (regionCount[app.region] || 0) + 1; });
+                select.innerHTML = LARK_APPS.map((app, i) => \`<option value="\${i}">\${escapeHtml(regionCount[app.region] > 1 ? \`\${app.label} - \${app.name}\` : app.label)}</option>\`).join('');
+                document.getElementById('lark-app-group').style.display = LARK_APPS.length > 1 ? 'block' : 'none';
+            }
+
+            function selectedLarkApp() {
+                const app = LARK_APPS[document.getElementById('lark-app').value];
+                return app ? { region: app.region, larkAppId: app.appId } : {};
+            }
+
+            // 追加先BaseのURLからリージョンが分かる場合は、接続先をそのリージョンに合わせる
+            function selectRegionFromUrl(value) {
+                const region = /\\.feishu\\.cn\\//i.test(value) ? 'feishu' : /\\.larksuite\\.com\\//i.test(value) ? 'lark' : null;
+                const select = document.getElementById('lark-app');
+                const current = LARK_APPS[select.value];
+                if (!region || (current && current.region === region)) return;
+                const index = LARK_APPS.findIndex(app => app.region === region);
+                if (index >= 0) select.value = String(index);
+            }
+
+            function setStepStatus(stepNumber, status) {
+                const step = document.getElementById(\`step-\${stepNumber}\`);
+                if (!step) return;
+                
+                step.classList.remove('active', 'completed');
+                if (status === 'active') {
+                    step.classList.add('active');
+                } else if (status === 'completed') {
+                    step.classList.add('completed');
+                }
+            }
+
+            async function requestPreview() {
+                const promptText = document.getElementById('prompt').value.trim();
+                const targetBase = document.getElementById('target-base').value.trim();
+                const files = Array.from(document.getElementById('import-files').files || []);
+                const resultEl = document.getElementById('result');
+                const loadingSection = document.getElementById('loading-section');
+                const progressSteps = document.getElementById('progress-steps');
+                const button = document.getElementById('submit-button');
+
+                if (!promptText && files.length === 0) {
+                    showError('指示内容を入力するか、取り込むファイルを選択してください。');
+                    return;
+                }
+
+                if (files.length === 0 && promptText.length < 20) {
+                    showError('指示内容が短すぎます。もう少し詳しく説明してください。');
+                    return;
+                }
+
+                // UI状態をリセット
+                resultEl.innerHTML = '';
+                reviewSchema = null;
+                renderReview();
+                loadingSection.style.display = 'block';
+                progressSteps.style.display = 'block';
+                [1, 2, 3, 4].forEach(step => setStepStatus(step, null));
+                button.disabled = true;
+                button.textContent = '設計中...';
+
+                setStepStatus(1, 'active');
+
+                try {
+                    const larkApp = selectedLarkApp();
+                    const payload = targetBase ? { prompt: promptText, baseUrl: targetBase, ...larkApp } : { prompt: promptText, ...larkApp };
+                    if (files.length > 0) {
+                        payload.refine = document.getElementById('import-refine').checked;
+                    }
+                    const response = await fetch('/api/preview', files.length > 0 ? {
+                        method: 'POST',
+                        body: toFormData(payload, files)
+                    } : {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(payload)
+                    });
+                    const result = await response.json();
+
+                    if (response.ok && result.success) {
+                        setStepStatus(1, 'completed');
+                        reviewSchema = { baseName: result.baseName, tables: result.tables };
+                        reviewTarget = result.target || null;
+                        reviewLarkApp = larkApp;
+                        reviewWarnings = result.warnings || [];
+                        reviewFiles = files;
+                        renderReview();
+                    } else {
+                        throw new Error(result.error || '不明なエラーが発生しました。');
+                    }
+                } catch (error) {
+                    showError(error.message);
+                } finally {
+                    loadingSection.style.display = 'none';
+                    button.disabled = false;
+                    button.textContent = '🤖 AIにBaseの設計を依頼';
+                }
+            }
+
+            function renderReview() {
+                const section = document.getElementById('review-section');
+                if (!reviewSchema) {
+                    section.style.display = 'none';
+                    section.innerHTML = '';
+                    return;
+                }
+
+                const typeOptions = (selected) => {
+                    const known = Object.entries(FIELD_TYPES).map(([value, label]) =>
+                        \`<option value="\${value}" \${value === selected ? 'selected' : ''}>\${label} (\${value})</option>\`
+                    ).join('');
+                    return FIELD_TYPES[selected]
+                        ? known
+                        : \`<option value="\${escapeHtml(selected)}" selected>⚠️ 未対応: \${escapeHtml(selected)}</option>\${known}\`;
+                };
+
+                const tableCount = reviewSchema.tables.length;
+                const tablesHtml = reviewSchema.tables.map((table, ti) => {
+                    const fieldCount = table.fields.length;
+                    const rows = table.fields.map((field, fi) => {
+                        const isSelect = SELECT_TYPES.includes(field.type);
+                        const linkTable = (field.options && field.options.linkTable) || '';
+                        const opts = field.options || {};
+                        const linkFieldNames = table.fields.filter(f => LINK_TYPES.includes(f.type)).map(f => f.name);
+                        let optionCell;
+                        if (field.type === 'formula') {
+                            optionCell = \`<input class="review-input" value="\${escapeHtml(opts.formula)}" placeholder="例: [販売価格] * [数量]" oninput="updateFieldOptions(\${ti}, \${fi}, this.value, 'formula')">\`;
+                        } else if (field.type === 'lookup' || field.type === 'rollup') {
+                            optionCell = \`
+                                <select class="review-input" onchange="updateFieldOptions(\${ti}, \${fi}, this.value, 'linkField')">
+                                    <option value="" \${opts.linkField ? '' : 'selected'}>リンクフィールドを選択</option>
+                                    \${linkFieldNames.map(name => \`<option value="\${escapeHtml(name)}" \${name === opts.linkField ? 'selected' : ''}>\${escapeHtml(name)}</option>\`).join('')}
+                                </select>
+                                <input class="review-input" value="\${escapeHtml(opts.lookupField)}" placeholder="リンク先のフィールド名" oninput="updateFieldOptions(\${ti}, \${fi}, this.value, 'lookupField')">
+                                \${field.type === 'rollup' ? \`<select class="review-input" onchange="updateFieldOptions(\${ti}, \${fi}, this.value, 'aggregate')">
+                                    \${ROLLUP_AGGREGATES.map(agg => \`<option value="\${agg}" \${agg === (opts.aggregate || 'SUM').toUpperCase() ? 'selected' : ''}>\${agg}</option>\`).join('')}
+                                </select>\` : ''}
+                                <div style="font-size: 0.8rem; opacity: 0.8;">このフィールドは作成されません。構築後にLarkの画面で作成してください。</div>
+                            \`;
+                        } else if (LINK_TYPES.includes(field.type)) {
+                            optionCell = \`<select class="review-input" onchange="updateFieldOptions(\${ti}, \${fi}, this.value, 'linkTable')">
+                                    <option value="" \${linkTable ? '' : 'selected'}>リンク先を選択</option>
+                                    \${linkTableNames().map(name => \`<option value="\${escapeHtml(name)}" \${name === linkTable ? 'selected' : ''}>\${escapeHtml(name)}</option>\`).join('')}
+                               </select>\`;
+                        } else if (FORMAT_TYPES.includes(field.type)) {
+                            optionCell = formatOptionsCell(field.type, opts, ti, fi);
+                        } else if (isSelect) {
+                            // 選択肢は1つずつ入力する（名前に読点・カンマを含めてもよい）
+                            optionCell = \`
+                                \${selectChoices(field.options).map((choice, ci) => \`
+                                    <div style="display: flex; gap: 0.25rem; margin-bottom: 0.25rem;">
+                                        <input class="review-input" value="\${escapeHtml(choice.name)}" placeholder="選択肢\${ci + 1}" oninput="updateFieldChoice(\${ti}, \${fi}, \${ci}, this.value)">
+                                        <button class="icon-button" onclick="removeFieldChoice(\${ti}, \${fi}, \${ci})">🗑️</button>
+                                    </div>\`).join('')}
+                                <button class="icon-button" onclick="addFieldChoice(\${ti}, \${fi})">＋ 選択肢を追加</button>
+                            \`;
+                        } else {
+                            optionCell = \`<input class="review-input" placeholder="-" disabled>\`;
+                        }
+                        return \`
+                            <tr>
+                                <td style="text-align: center;"><input type="radio" name="primary-\${ti}" title="主フィールド" \${field.primary ? 'checked' : ''} \${PRIMARY_TYPES.includes(field.type) && !table.extendsExisting ? '' : 'disabled'} onchange="setPrimaryField(\${ti}, \${fi})"></td>
+                                <td>
+                                    <input class="review-input" value="\${escapeHtml(field.name)}" oninput="updateField(\${ti}, \${fi}, 'name', this.value)">
+                                    <input class="review-input" style="margin-top: 0.25rem; font-size: 0.85rem;" value="\${escapeHtml(field.description || '')}" placeholder="説明（任意）" oninput="updateField(\${ti}, \${fi}, 'description', this.value)">
+                                </td>
+                                <td><select class="review-input" onchange="updateField(\${ti}, \${fi}, 'type', this.value); renderReview()">\${typeOptions(field.type)}</select></td>
+                                <td>\${optionCell}</td>
+                                <td>
+                                    <button class="icon-button" onclick="moveField(\${ti}, \${fi}, -1)" \${fi === 0 ? 'disabled' : ''}>↑</button>
+                                    <button class="icon-button" onclick="moveField(\${ti}, \${fi}, 1)" \${fi === fieldCount - 1 ? 'disabled' : ''}>↓</button>
+                                    <button class="icon-button" onclick="removeField(\${ti}, \${fi})">🗑️</button>
+                                </td>
+                            </tr>
+                        \`;
+                    }).join('');
+
+                    return \`
+                        <div class="review-table-card">
+                            <div class="review-table-header">
+                                <input class="review-input" value="\${escapeHtml(table.name)}" \${table.extendsExisting ? 'disabled' : ''} oninput="updateTable(\${ti}, 'name', this.value)" onchange="renderReview()">
+                                \${table.extendsExisting ? '<span style="white-space: nowrap; font-size: 0.85rem;">🧩 既存テーブルに追加</span>' : table.importedRows !== undefined ? \`<span style="white-space: nowrap; font-size: 0.85rem;">📄 \${table.importedRows}行を取り込み</span>\` : \`
+                                <span style="white-space: nowrap; font-size: 0.85rem;">サンプル</span>
+                                <input class="review-input" type="number" min="0" max="20" style="width: 5rem;" value="\${table.sampleDataCount}" oninput="updateTable(\${ti}, 'sampleDataCount', Number(this.value))">\`}
+                                <button class="icon-button" onclick="moveTable(\${ti}, -1)" \${ti === 0 ? 'disabled' : ''}>↑</button>
+                                <button class="icon-button" onclick="moveTable(\${ti}, 1)" \${ti === tableCount - 1 ? 'disabled' : ''}>↓</button>
+                                <button class="icon-button" onclick="removeTable(\${ti})">🗑️</button>
+                            </div>
+                            <table class="review-grid">
+                                <tr><th title="主フィールド（先頭の列）">主</th><th>フィールド名 / 説明</th><th>タイプ</th><th>選択肢 / リンク先 / 数式 / 表示形式</th><th></th></tr>
+                                \${rows}
+                            </table>
+                            <button class="icon-button" style="margin-top: 0.5rem;" onclick="addField(\${ti})">＋ フィールドを追加</button>
+                            \${viewsSection(table, ti)}
+                        </div>
+                    \`;
+                }).join('');
+
+                section.style.display = 'block';
+                section.innerHTML = \`
+                    <div class="review-title">📐 設計内容の確認・編集</div>
+                    <div class="review-note">\${reviewTarget
+                        ? '既存のBaseに追加するテーブルとフィールドです。既存のテーブル・フィールドはそのまま残ります。'
+                        : 'AIが設計したテーブルとフィールドです。'}内容を修正してから作成できます（AIへの再依頼は行いません）。</div>
+                    \${reviewWarnings.map(warning => \`<div class="review-note" style="color: #ed8936;">⚠️ \${escapeHtml(warning)}</div>\`).join('')}
+                    <div class="form-group">
+                        <label for="review-base-name">Base名</label>
+                        <input class="review-input" id="review-base-name" value="\${escapeHtml(reviewSchema.baseName)}" \${reviewTarget ? 'disabled' : ''} oninput="reviewSchema.baseName = this.value">
+                    </div>
+                    \${tablesHtml}
+                    <label class="review-option">
+                        <input type="checkbox" \${rollbackOnFailure ? 'checked' : ''} onchange="rollbackOnFailure = this.checked">
+                        失敗したら作成した内容をすべて削除する（ロールバック）
+                    </label>
+                    <div class="review-actions">
+                        <button class="icon-button" onclick="cancelReview()">キャンセル</button>
+                        <button class="submit-button" id="create-button" onclick="createBase()">\${createButtonLabel()}</button>
+                    </div>
+                \`;
+            }
+
+            // テーブルのビュー一覧（名前・タイプ・グループ化・日付を編集できる。フィルター・並べ替えは内容を表示する）
+            function viewsSection(table, ti) {
+                const views = table.views || [];
+                const fieldSelect = (view, vi, key, types, placeholder) => \`
+                    <select class="review-input" onchange="updateView(\${ti}, \${vi}, '\${key}', this.value)">
+                        <option value="" \${view[key] ? '' : 'selected'}>\${placeholder}</option>
+                        \${table.fields.filter(field => types.includes(field.type)).map(field => \`<option value="\${escapeHtml(field.name)}" \${field.name === view[key] ? 'selected' : ''}>\${escapeHtml(field.name)}</option>\`).join('')}
+                    </select>\`;
+                const rows = views.map((view, vi) => {
+                    let settingsCell = '';
+                    if (view.type === 'kanban') {
+                        settingsCell = fieldSelect(view, vi, 'groupBy', VIEW_GROUP_TYPES, 'グループ化するフィールド');
+                    } else if (view.type === 'gantt') {
+                        settingsCell = fieldSelect(view, vi, 'dateField', VIEW_DATE_TYPES, '開始日') + fieldSelect(view, vi, 'endDateField', VIEW_DATE_TYPES, '終了日');
+                    }
+                    const conditions = [
+                        ...(view.filters || []).map(filter => \`フィルター: \${filter.field} \${filter.operator} \${(filter.value || []).join(' / ')}\`),
+                        ...(view.sorts || []).map(sort => \`並べ替え: \${sort.field}（\${sort.desc ? '降順' : '昇順'}）\`)
+                    ];
+                    return \`
+                        <tr>
+                            <td><input class="review-input" value="\${escapeHtml(view.name)}" oninput="updateView(\${ti}, \${vi}, 'name', this.value)"></td>
+                            <td><select class="review-input" onchange="updateView(\${ti}, \${vi}, 'type', this.value); renderReview()">
+                                \${Object.entries(VIEW_TYPES).map(([value, label]) => \`<option value="\${value}" \${value === view.type ? 'selected' : ''}>\${label}</option>\`).join('')}
+                            </select></td>
+                            <td>
+                                \${settingsCell}
+                                \${conditions.map(text => \`<div style="font-size: 0.8rem; opacity: 0.8;">\${escapeHtml(text)}</div>\`).join('')}
+                            </td>
+                            <td><button class="icon-button" onclick="removeView(\${ti}, \${vi})">🗑️</button></td>
+                        </tr>
+                    \`;
+                }).join('');
+                return \`
+                    \${views.length > 0 ? \`
+                    <table class="review-grid" style="margin-top: 0.75rem;">
+                        <tr><th>ビュー名</th><th>タイプ</th><th>グループ化 / 日付 / 絞り込み</th><th></th></tr>
+                        \${rows}
+                    </table>
+                    <p style="font-size: 0.8rem; opacity: 0.8;">作成時に設定されるのはビューのタイプとフィルターのみです。グループ化・日付・並べ替えは作成後にLarkの画面で設定してください。</p>\` : ''}
+                    <button class="icon-button" style="margin-top: 0.5rem;" onclick="addView(\${ti})">＋ ビューを追加</button>
+                \`;
+            }
+
+            function createButtonLabel() {
+                return reviewTarget ? '✅ この設計を既存のBaseに追加' : '✅ この設計でBaseを作成';
+            }
+
+            // リンク先として選べるテーブル名（設計中のテーブル + 追加先Baseの既存テーブル）
+            function linkTableNames() {
+                const names = reviewSchema.tables.map(table => table.name);
+                const existing = reviewTarget ? reviewTarget.tables.filter(name => !names.includes(name)) : [];
+                return [...names, ...existing];
+            }
+
+            function updateTable(ti, key, value) {
+                const table = reviewSchema.tables[ti];
+                if (key === 'name') {
+                    // リンク先として参照しているフィールドも追従させる
+                    reviewSchema.tables.forEach(other => other.fields.forEach(field => {
+                        if (field.options && field.options.linkTable === table.name) {
+                            field.options.linkTable = value;
+                        }
+                    }));
+                }
+                table[key] = value;
+            }
+
+            function updateField(ti, fi, key, value) {
+                const table = reviewSchema.tables[ti];
+                if (key === 'name') {
+                    // ビューで参照しているフィールド名も追従させる
+                    const oldName = table.fields[fi].name;
+                    (table.views || []).forEach(view => {
+                        ['groupBy', 'dateField', 'endDateField'].forEach(viewKey => {
+                            if (view[viewKey] === oldName) view[viewKey] = value;
+                        });
+                        [...(view.filters || []), ...(view.sorts || [])].forEach(item => {
+                            if (item.field === oldName) item.field = value;
+                        });
+                    });
+                }
+                table.fields[fi][key] = value;
+            }
+
+            // 主フィールドは1テーブルに1つ（作成時に先頭の列になる）
+            function setPrimaryField(ti, fi) {
+                reviewSchema.tables[ti].fields.forEach((field, index) => {
+                    if (index === fi) {
+                        field.primary = true;
+                    } else {
+                        delete field.primary;
+                    }
+                });
+            }
+
+            function updateFieldOptions(ti, fi, value, key) {
+                const field = reviewSchema.tables[ti].fields[fi];
+                field.options = { ...(field.options || {}), [key]: value };
+            }
+
+            // 選択肢（{ name, color }）の一覧。以前の形式（options['オプション'] の文字列）のみ区切り文字で分ける
+            function selectChoices(options) {
+                const source = options && (options.choices || options['オプション']);
+                if (Array.isArray(source)) {
+                    return source.map(item => typeof item === 'object' && item ? item : { name: String(item) });
+                }
+                return String(source || '').split(/[,，、]/).map(name => ({ name: name.trim() })).filter(choice => choice.name);
+            }
+
+            // 選択肢を options.choices に移してから編集する（編集していない選択肢の名前と色はそのまま）
+            function editFieldChoices(ti, fi, edit) {
+                const field = reviewSchema.tables[ti].fields[fi];
+                const { 'オプション': _, ...options } = field.options || {};
+                options.choices = selectChoices(field.options).map(choice => ({ ...choice }));
+                edit(options.choices);
+                field.options = options;
+            }
+
+            function updateFieldChoice(ti, fi, ci, value) {
+                editFieldChoices(ti, fi, choices => {
+                    choices[ci].name = value;
+                });
+            }
+
+            function removeFieldChoice(ti, fi, ci) {
+                editFieldChoices(ti, fi, choices => choices.splice(ci, 1));
+                renderReview();
+            }
+
+            function addFieldChoice(ti, fi) {
+                editFieldChoices(ti, fi, choices => choices.push({ name: '' }));
+                renderReview();
+            }
+
+            // 表示形式を指定できるフィールドタイプ
+            const FORMAT_TYPES = ['number', 'currency', 'date', 'date_time', 'created_time', 'modified_time', 'rating', 'member', 'group_chat', 'auto_number'];
+
+            // 表示形式の入力欄（未選択の項目は既定の表示形式で作成される）
+            function formatOptionsCell(type, opts, ti, fi) {
+                const choice = (key, values, label, format = value => value) => \`
+                    <select class="review-input" onchange="updateFieldFormat(\${ti}, \${fi}, '\${key}', this.value)">
+                        <option value="" \${opts[key] === undefined ? 'selected' : ''}>\${label}</option>
+                        \${values.map(value => \`<option value="\${escapeHtml(value)}" \${String(opts[key]) === String(value) ? 'selected' : ''}>\${escapeHtml(format(value))}</option>\`).join('')}
+                    </select>\`;
+                const flag = (key, label) => \`
+                    <label class="review-option"><input type="checkbox" \${opts[key] === true ? 'checked' : ''} onchange="updateFieldFormat(\${ti}, \${fi}, '\${key}', this.checked)"> \${label}</label>\`;
+                const digits = Array.from({ length: MAX_DECIMAL_PRECISION + 1 }, (_, i) => i);
+
+                switch (type) {
+                    case 'number':
+                        // パーセント表示は 0% / 0.00% のみ選べる
+                        return choice('precision', opts.percentage === true ? [0, 2] : digits, '小数点以下: 既定', value => \`小数点以下 \${value}桁\`) + flag('percentage', 'パーセント表示');
+                    case 'currency':
+                        return \`<input class="review-input" value="\${escapeHtml(opts.currencyCode || '')}" placeholder="通貨コード（既定: JPY）" oninput="updateFieldFormat(\${ti}, \${fi}, 'currencyCode', this.value.trim().toUpperCase())">\` +
+                            choice('precision', digits, '小数点以下: 通貨に合わせる', value => \`小数点以下 \${value}桁\`);
+                    case 'date':
+                    case 'date_time':
+                    case 'created_time':
+                    case 'modified_time':
+                        return choice('dateFormat', DATE_FORMATS.filter(format => format.includes('HH') === (type !== 'date')), '表示形式: 既定');
+                    case 'rating':
+                        return choice('max', Array.from({ length: MAX_RATING }, (_, i) => i + 1), '最大値: 5', value => \`最大値 \${value}\`) +
+                            choice('symbol', RATING_SYMBOLS, '記号: star');
+                    case 'member':
+                        return flag('multiple', '複数人を割り当てる');
+                    case 'group_chat':
+                        return flag('multiple', '複数のグループを割り当てる');
+                    case 'auto_number':
+                        return \`<input class="review-input" value="\${escapeHtml(opts.prefix || '')}" placeholder="接頭辞（例: INV-）" oninput="updateFieldFormat(\${ti}, \${fi}, 'prefix', this.value.trim())">\` +
+                            choice('dateFormat', AUTO_NUMBER_DATE_FORMATS, '日付: なし') +
+                            choice('digits', Array.from({ length: MAX_AUTO_NUMBER_DIGITS }, (_, i) => i + 1), '桁数: 既定', value => \`\${value}桁\`);
+                }
+                return '';
+            }
+
+            // 表示形式のオプションを型に合わせて保存する（空の値は既定に戻す）
+            function updateFieldFormat(ti, fi, key, value) {
+                const field = reviewSchema.tables[ti].fields[fi];
+                const options = { ...(field.options || {}) };
+                if (value === '' || value === false) {
+                    delete options[key];
+                } else {
+                    options[key] = ['precision', 'max', 'digits'].includes(key) ? Number(value) : value;
+                }
+                // パーセント表示は小数点以下0桁または2桁のみ（桁数の選択肢も描き直す）
+                if (key === 'percentage') {
+                    if (value === true && options.precision !== undefined && ![0, 2].includes(options.precision)) {
+                        options.precision = 2;
+                    }
+                    field.options = options;
+                    renderReview();
+                    return;
+                }
+                field.options = options;
+            }
+
+            function moveItem(list, index, direction) {
+                const target = index + direction;
+                if (target < 0 || target >= list.length) return;
+                [list[index], list[target]] = [list[target], list[index]];
+            }
+
+            function moveTable(ti, direction) {
+                moveItem(reviewSchema.tables, ti, direction);
+                renderReview();
+            }
+
+            function moveField(ti, fi, direction) {
+                moveItem(reviewSchema.tables[ti].fields, fi, direction);
+                renderReview();
+            }
+
+            function removeTable(ti) {
+                reviewSchema.tables.splice(ti, 1);
+                renderReview();
+            }
+
+            function removeField(ti, fi) {
+                reviewSchema.tables[ti].fields.splice(fi, 1);
+                renderReview();
+            }
+
+            function addField(ti) {
+                reviewSchema.tables[ti].fields.push({ name: '新しいフィールド', type: 'text', options: {} });
+                renderReview();
+            }
+
+            function updateView(ti, vi, key, value) {
+                reviewSchema.tables[ti].views[vi][key] = value;
+            }
+
+            function removeView(ti, vi) {
+                reviewSchema.tables[ti].views.splice(vi, 1);
+                renderReview();
+            }
+
+            function addView(ti) {
+                const table = reviewSchema.tables[ti];
+                table.views = [...(table.views || []), { name: VIEW_TYPES.kanban, type: 'kanban' }];
+                renderReview();
+            }
+
+            function cancelReview() {
+                reviewSchema = null;
+                reviewTarget = null;
+                reviewWarnings = [];
+                reviewFiles = [];
+                renderReview();
+            }
+
+            function validateReviewSchema() {
+                if (!reviewSchema.baseName || !reviewSchema.baseName.trim()) {
+                    return 'Base名を入力してください。';
+                }
+                if (reviewSchema.tables.length === 0) {
+                    return 'テーブルが1つもありません。';
+                }
+                for (const table of reviewSchema.tables) {
+                    if (!table.name || !table.name.trim()) {
+                        return 'テーブル名が空のテーブルがあります。';
+                    }
+                    if (table.fields.some(field => !field.name || !field.name.trim())) {
+                        return \`テーブル「\${table.name}」に名前が空のフィールドがあります。\`;
+                    }
+                    if (table.fields.some(field => !FIELD_TYPES[field.type])) {
+                        return \`テーブル「\${table.name}」に未対応のタイプのフィールドがあります。\`;
+                    }
+                    if ((table.views || []).some(view => !view.name || !view.name.trim())) {
+                        return \`テーブル「\${table.name}」に名前が空のビューがあります。\`;
+                    }
+                    const brokenLink = table.fields.find(field => LINK_TYPES.includes(field.type) &&
+                        !linkTableNames().includes(field.options && field.options.linkTable));
+                    if (brokenLink) {
+                        return \`テーブル「\${table.name}」のフィールド「\${brokenLink.name}」のリンク先テーブルを選択してください。\`;
+                    }
+                }
+                return null;
+            }
+
+            async function createBase() {
+                const resultEl = document.getElementById('result');
+                const loadingSection = document.getElementById('loading-section');
+                const progressSteps = document.getElementById('progress-steps');
+                const button = document.getElementById('create-button');
+
+                if (!reviewSchema) {
+                    showError('先にAIにBaseの設計を依頼してください。');
+                    return;
+                }
+
+                const validationError = validateReviewSchema();
+                if (validationError) {
+                    showError(validationError);
+                    return;
+                }
+
+                // UI状態をリセット
+                resultEl.innerHTML = '';
+                loadingSection.style.display = 'block';
+                progressSteps.style.display = 'block';
+                button.disabled = true;
+                button.textContent = '作成中...';
+
+                // プログレス表示（AI分析は確認画面の表示時点で完了済み）
+                setStepStatus(1, 'completed');
+                setStepStatus(2, 'active');
+                initTableProgress(reviewSchema.tables);
+
+                try {
+                    const result = await runBuildStream('/api/create', {
+                        schema: reviewSchema,
+                        onFailure: rollbackOnFailure ? 'rollback' : 'keep',
+                        ...reviewLarkApp,
+                        ...(reviewTarget ? { appToken: reviewTarget.appToken, baseUrl: reviewTarget.baseUrl } : {})
+                    }, reviewFiles);
+                    reviewSchema = null;
+                    reviewTarget = null;
+                    reviewWarnings = [];
+                    reviewFiles = [];
+                    renderReview();
+                    showSuccess(result);
+                } catch (error) {
+                    showError(error.message);
+                } finally {
+                    loadingSection.style.display = 'none';
+                    button.disabled = false;
+                    button.textContent = createButtonLabel();
+                }
+            }
+
+            async function retryBuild(buildId) {
+                const loadingSection = document.getElementById('loading-section');
+                const progressSteps = document.getElementById('progress-steps');
+                const button = document.getElementById('retry-button');
+
+                loadingSection.style.display = 'block';
+                progressSteps.style.display = 'block';
+                button.disabled = true;
+                button.textContent = '再試行中...';
+
+                setStepStatus(1, 'completed');
+                setStepStatus(2, 'active');
+                // テーブル一覧はサーバーから届くスキーマで初期化する
+                initTableProgress([]);
+
+                try {
+                    const result = await runBuildStream(\`/api/jobs/\${encodeURIComponent(buildId)}/retry\`, {});
+                    showSuccess(result);
+                } catch (error) {
+                    showError(error.message);
+                } finally {
+                    loadingSection.style.display = 'none';
+                }
+            }
+
+            // ファイルを添付して送るためのフォームデータ（オブジェクトはJSON文字列にする）
+            function toFormData(payload, files) {
+                const form = new FormData();
+                Object.entries(payload).forEach(([key, value]) => {
+                    if (value === undefined || value === null) return;
+                    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+                });
+                files.forEach(file => form.append('files', file));
+                return form;
+            }
+
+            // 構築APIを進捗ストリーミング付きで呼び出し、最終結果を返す
+            // files を渡すとCSV / Excelの行を取り込むため multipart/form-data で送信します。
+            async function runBuildStream(url, payload, files = []) {
+                const response = await fetch(url, files.length > 0 ? {
+                    method: 'POST',
+                    headers: { 'Accept': 'application/x-ndjson' },
+                    body: toFormData({ ...payload, stream: true }, files)
+                } : {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/x-ndjson' },
+                    body: JSON.stringify({ ...payload, stream: true })
+                });
+
+                if (!response.ok || !response.body) {
+                    const errorResult = await response.json();
+                    throw new Error(errorResult.error || '不明なエラーが発生しました。');
+                }
+
+                // サーバーから届く進捗イベントをそのまま画面に反映
+                let result = null;
+                await readEventStream(response, (event) => {
+                    if (event.type === 'error') {
+                        throw new Error(event.error || '不明なエラーが発生しました。');
+                    }
+                    if (event.type === 'complete') {
+                        result = event.result;
+                    }
+                    handleProgressEvent(event);
+                });
+
+                if (!result || !result.success) {
+                    throw new Error((result && result.error) || '不明なエラーが発生しました。');
+                }
+                return result;
+            }
+
+            // テーブルごとの進捗（完了数 / 予定数）
+            let tableProgress = {};
+
+            async function readEventStream(response, onEvent) {
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (value) {
+                        buffer += decoder.decode(value, { stream: true });
+                    }
+                    const lines = buffer.split('\\n');
+                    buffer = lines.pop();
+                    lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+                    if (done) break;
+                }
+
+                if (buffer.trim()) {
+                    onEvent(JSON.parse(buffer));
+                }
+            }
+
+            function initTableProgress(tables) {
+                tableProgress = {};
+                tables.forEach(table => {
+                    tableProgress[table.name] = {
+                        done: 0,
+                        // フィールド数 + サンプルデータのバッチ数（10件ずつ。取り込みは100件ずつ）
+                        total: table.fields.length + (table.importedRows !== undefined
+                            ? Math.ceil(table.importedRows / IMPORT_BATCH_SIZE)
+                            : Math.ceil((table.sampleDataCount || 0) / 10)),
+                        errors: 0,
+                        status: '待機中'
+                    };
+                });
+                renderTableProgress();
+            }
+
+            function renderTableProgress() {
+                const container = document.getElementById('table-progress');
+                container.innerHTML = Object.entries(tableProgress).map(([name, progress]) => {
+                    const percent = progress.total > 0 ? Math.min(100, Math.round(progress.done / progress.total * 100)) : 100;
+                    const stateClass = progress.status === '失敗' ? 'failed' : (progress.errors > 0 ? 'has-errors' : '');
+                    return \`
+                        <div class="table-progress-item \${stateClass}">
+                            <div class="table-progress-label">
+                                <span>\${escapeHtml(name)}</span>
+                                <span>\${progress.status}\${progress.errors > 0 ? \` (エラー \${progress.errors}件)\` : ''} \${percent}%</span>
+                            </div>
+                            <div class="table-progress-bar"><div class="table-progress-fill" style="width: \${percent}%;"></div></div>
+                        </div>
+                    \`;
+                }).join('');
+            }
+
+            function handleProgressEvent(event) {
+                const progress = tableProgress[event.table];
+
+                switch (event.type) {
+                    case 'schema_generated':
+                        setStepStatus(1, 'completed');
+                        setStepStatus(2, 'active');
+                        if (Object.keys(tableProgress).length === 0 && event.schema) {
+                            initTableProgress(event.schema.tables);
+                        }
+                        break;
+                    case 'base_created':
+                    case 'base_resumed':
+                    case 'base_extended':
+                        setStepStatus(2, 'completed');
+                        setStepStatus(3, 'active');
+                        break;
+                    case 'table_created':
+                    case 'table_existing':
+                        if (progress) progress.status = '構築中';
+                        break;
+                    case 'table_failed':
+                        if (progress) {
+                            progress.status = '失敗';
+                            progress.done = progress.total;
+                        }
+                        break;
+                    case 'field_created':
+                    case 'field_existing':
+                    case 'field_skipped':
+                    case 'field_failed':
+                        if (progress) {
+                            progress.done++;
+                            if (event.type === 'field_failed') progress.errors++;
+                        }
+                        break;
+                    case 'view_created':
+                    case 'view_existing':
+                    case 'view_failed':
+                        if (progress) {
+                            progress.status = 'ビュー作成中';
+                            if (event.type === 'view_failed') progress.errors++;
+                        }
+                        break;
+                    case 'records_batch':
+                        setStepStatus(3, 'completed');
+                        setStepStatus(4, 'active');
+                        if (progress) {
+                            progress.status = \`サンプルデータ \${event.batch}/\${event.totalBatches}\`;
+                            progress.done++;
+                            if (event.status === 'failed') progress.errors++;
+                        }
+                        break;
+                    case 'rollback_started':
+                        Object.values(tableProgress).forEach(item => {
+                            item.status = '削除中';
+                        });
+                        break;
+                    case 'rollback_completed':
+                        Object.values(tableProgress).forEach(item => {
+                            item.status = '削除済み';
+                        });
+                        break;
+                    case 'complete':
+                        if (event.result && event.result.rollback) break;
+                        [2, 3, 4].forEach(step => setStepStatus(step, 'completed'));
+                        Object.values(tableProgress).forEach(item => {
+                            if (item.status !== '失敗') {
+                                item.status = '完了';
+                                item.done = item.total;
+                            }
+                        });
+                        break;
+                }
+
+                renderTableProgress();
+            }
+
+            // フィールド・ビューごとの構築結果をテーブル単位の一覧で表示する
+            function renderBuildDetails(details) {
+                const statusLabels = {
+                    created: '✅ 作成',
+                    existing: '➖ 既存',
+                    skipped: '⏭️ スキップ',
+                    failed: '❌ 失敗'
+                };
+                return (details || []).map(detail => {
+                    if (detail.status === 'Failed') {
+                        return \`
+                            <div class="review-table-card">
+                                <div class="review-table-header"><strong>\${escapeHtml(detail.tableName)}</strong></div>
+                                <p style="color: #fc8181; font-size: 0.85rem;">❌ テーブルを作成できませんでした: \${escapeHtml(detail.error || '')}</p>
+                            </div>
+                        \`;
+                    }
+                    const rows = (detail.fields || []).map(field => \`
+                        <tr>
+                            <td>\${escapeHtml(field.name)}</td>
+                            <td>\${escapeHtml(FIELD_TYPES[field.type] || field.type || '')}</td>
+                            <td style="white-space: nowrap;">\${statusLabels[field.status] || escapeHtml(field.status)}</td>
+                            <td style="font-size: 0.8rem; word-break: break-all;">\${field.status === 'failed'
+                                ? escapeHtml(field.code !== undefined ? \`\${field.msg}（コード: \${field.code}）\` : field.error)
+                                : escapeHtml(field.reason || field.fieldId || '')}</td>
+                        </tr>
+                    \`).join('');
+                    // ビューごとの結果（グループ化・日付・並べ替えはツールでは設定されないため、Larkの画面で設定する項目として表示する）
+                    const viewRows = (detail.views || []).map(view => \`
+                        <tr>
+                            <td>\${escapeHtml(view.name)}</td>
+                            <td>\${escapeHtml(VIEW_TYPES[view.type] || view.type || '')}</td>
+                            <td style="white-space: nowrap;">\${statusLabels[view.status] || escapeHtml(view.status)}</td>
+                            <td style="font-size: 0.8rem; word-break: break-all;">\${view.status === 'failed'
+                                ? escapeHtml(view.code !== undefined ? \`\${view.msg}（コード: \${view.code}）\` : view.error)
+                                : [
+                                    escapeHtml(view.viewId || ''),
+                                    ...(view.manualSettings || []).map(setting => \`📝 未設定（Larkの画面で設定）: \${escapeHtml(setting)}\`),
+                                    ...(view.filterError ? [\`⚠️ フィルターを設定できませんでした: \${escapeHtml(view.filterError)}\`] : [])
+                                ].filter(Boolean).join('<br>')}</td>
+                        </tr>
+                    \`).join('');
+                    const viewSummary = detail.views
+                        ? \` ・ ビュー \${detail.viewsCreated}件作成\${detail.viewsFailed > 0 ? \` / \${detail.viewsFailed}件失敗\` : ''}\`
+                        : '';
+                    return \`
+                        <div class="review-table-card">
+                            <div class="review-table-header">
+                                <strong>\${escapeHtml(detail.tableName)}</strong>
+                                <span style="font-size: 0.85rem; opacity: 0.8;">フィールド \${detail.fieldsCreated}件作成\${detail.fieldsFailed > 0 ? \` / \${detail.fieldsFailed}件失敗\` : ''} ・ レコード \${detail.recordsAdded || 0}件追加\${detail.recordBatchesFailed > 0 ? \` / \${detail.recordBatchesFailed}バッチ失敗\` : ''}\${viewSummary}</span>
+                            </div>
+                            <table class="review-grid">
+                                <tr><th>フィールド名</th><th>タイプ</th><th>結果</th><th>field_id / 理由</th></tr>
+                                \${rows}
+                            </table>
+                            \${viewRows ? \`
+                            <table class="review-grid" style="margin-top: 0.75rem;">
+                                <tr><th>ビュー名</th><th>タイプ</th><th>結果</th><th>view_id / 未設定の項目</th></tr>
+                                \${viewRows}
+                            </table>\` : ''}
                         </div>
-                    </div>
-                </div>
+                    \`;
+                }).join('');
+            }
+
+            function showSuccess(result) {
+                const resultEl = document.getElementById('result');
+                const summary = result.summary;
                 
-                <div class="form-section">
-                    <div class="form-group">
-                        <label for="prompt">📝 作成したいBaseの内容を詳しく説明してください</label>
-                        <div class="textarea-container">
-                            <textarea 
-                                id="prompt" 
-                                placeholder="例：営業チームで使う顧客管理と商談管理のBaseを作って。&#10;&#10;【顧客情報】&#10;・会社名、担当者名、電話番号、メールアドレス&#10;・業界（IT、製造業、サービス業など）&#10;・顧客ランク（A、B、C）&#10;・担当営業&#10;&#10;【商談情報】&#10;・商談名、金額、進捗状況&#10;・受注確度（高、中、低）&#10;・商談開始日、予定完了日&#10;・関連顧客"
-                                maxlength="2000"
-                                oninput="updateCharCounter()"
-                            ></textarea>
-                            <div class="char-counter" id="char-counter">0 / 2000</div>
+                resultEl.innerHTML = \`
+                    <div class="result-success">
+                        <div class="result-title">
+                            ✅ Base作成完了！
+                        </div>
+                        <div class="result-content">
+                            <p><strong>Base名：</strong> \${result.baseName}</p>
+                            \${result.baseUrl ? \`<p><strong>URL：</strong> <a href="\${result.baseUrl}" target="_blank" class="result-url">\${result.baseUrl}</a></p>\` : ''}
+                            <p><strong>作成結果：</strong> \${summary.successfulTables}/\${summary.totalTables} テーブル作成成功</p>
+                            \${summary.duration ? \`<p><strong>所要時間：</strong> \${summary.duration}</p>\` : ''}
+                            \${summary.failedTables > 0 ? \`<p style="color: #ed8936;">⚠️ \${summary.failedTables}個のテーブルで問題が発生しましたが、Baseは正常に作成されました。</p>\` : ''}
+                            \${summary.failedTables === 0 && summary.retryable ? \`<p style="color: #ed8936;">⚠️ 一部のフィールドまたはサンプルデータの作成に失敗しました。</p>\` : ''}
+                            \${(result.warnings || []).map(warning => \`<p style="color: #ed8936; font-size: 0.9rem;">⚠️ \${escapeHtml(warning)}</p>\`).join('')}
+                            \${summary.retryable && result.buildId ? \`<button class="icon-button" id="retry-button" style="margin-top: 1rem; padding: 0.75rem 1.25rem; font-size: 0.95rem;" onclick="retryBuild('\${escapeHtml(result.buildId)}')">🔁 失敗した項目だけを再試行</button>\` : ''}
+                            <p style="margin-top: 1rem; font-size: 0.9rem; opacity: 0.8;">上記URLをクリックしてLark Baseにアクセスし、作成されたデータベースをご確認ください。</p>
                         </div>
+                        <div style="margin-top: 1rem;">\${renderBuildDetails(result.details)}</div>
                     </div>
-                    
-                    <button class="submit-button" id="submit-button" onclick="createBase()">
-                        🤖 AIにBaseの作成を依頼
-                    </button>
-                </div>
+                \`;
+            }
 
-                <div class="examples-section">
-                    <div class="examples-title">📋 使用例</div>
-                    <div class="example-item" onclick="setExample(0)">
-                        <div class="example-title">営業管理システム</div>
-                        <div class="example-desc">顧客情報と商談進捗を管理するCRMシステム</div>
-                    </div>
-                    <div class="example-item" onclick="setExample(1)">
-                        <div class="example-title">プロジェクト管理</div>
-                        <div class="example-desc">タスク、メンバー、進捗を一元管理</div>
-                    </div>
-                    <div class="example-item" onclick="setExample(2)">
-                        <div class="example-title">在庫管理システム</div>
-                        <div class="example-desc">商品、入出庫、在庫数を追跡管理</div>
-                    </div>
-                </div>
-                
-                <div class="result-container" id="result-container">
-                    <div class="loading-section" id="loading-section">
-                        <div class="spinner"></div>
-                        <div style="color: white; font-weight: 500;">AIがBaseを構築中...</div>
-                        <div class="progress-steps" id="progress-steps">
-                            <div class="step" id="step-1">🔍 AI分析中...</div>
-                            <div class="step" id="step-2">🏗️ Base作成中...</div>
-                            <div class="step" id="step-3">📋 テーブル構築中...</div>
-                            <div class="step" id="step-4">📊 サンプルデータ追加中...</div>
+            function showError(message) {
+                const resultEl = document.getElementById('result');
+                resultEl.innerHTML = \`
+                    <div class="result-error">
+                        <div class="result-title">
+                            ❌ エラーが発生しました
+                        </div>
+                        <div class="result-content">
+                            <p>\${message}</p>
+                            <p style="margin-top: 1rem; font-size: 0.9rem; opacity: 0.8;">
+                                問題が続く場合は、指示内容をより具体的にするか、しばらく時間をおいて再試行してください。
+                            </p>
                         </div>
                     </div>
-                    <div id="result"></div>
-                </div>
-            </div>
-        </div>
+                \`;
+            }
 
-        <script>
-            const examples = [
-                \`営業チームで使う顧客管理と商談管理のBaseを作って。
+            // 初期化
+            updateCharCounter();
+            renderLarkApps();
+        </script>
+    </body>
+    </html>
+    `;
 
-【顧客情報テーブル】
-・会社名、担当者名、電話番号、メールアドレス
-・業界（IT、製造業、サービス業、金融、その他）
-・顧客ランク（A、B、C）
-・担当営業、登録日
-・住所、ウェブサイト
+    return new Response(html, {
+        headers: { 'Content-Type': 'text/html;charset=utf-8' },
+    });
+}
 
-【商談情報テーブル】
-・商談名、関連顧客、金額
-・進捗状況（提案、交渉、契約、完了、失注）
-・受注確度（高、中、低）
-・商談開始日、予定完了日
-・担当営業、備考\`,
+// --- Utility Functions ---
 
-                \`開発チーム用のプロジェクト管理Baseを作って。
+/**
+ * 指定された時間だけ待機する
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-【プロジェクトテーブル】
-・プロジェクト名、説明、開始日、終了予定日
-・ステータス（計画中、進行中、完了、保留）
-・優先度（高、中、低）
-・プロジェクトマネージャー、予算
+/**
+ * JSONレスポンスを生成する
+ */
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data, null, 2), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
 
-【タスクテーブル】
-・タスク名、説明、関連プロジェクト
-・担当者、ステータス（未着手、進行中、完了）
-・開始日、期限、実際の完了日
-・工数（時間）、優先度
+/**
+ * ミリ秒を「約X分Y秒」形式の文字列に変換する
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? \`約\${minutes}分\${seconds}秒\` : \`約\${seconds}秒\`;
+}
 
-【メンバーテーブル】
-・名前、役職、スキル
-・メールアドレス、参加プロジェクト数\`,
+/**
+ * 他テーブルへのリンクフィールドかどうかを判定する
+ */
+function isLinkField(field) {
+    return LINK_FIELD_TYPES.includes(String(field.type).toLowerCase());
+}
 
-                \`小売店の在庫管理システムを作って。
+/**
+ * 数式・参照・集計フィールドかどうかを判定する
+ */
+function isComputedField(field) {
+    return COMPUTED_FIELD_TYPES.includes(String(field.type).toLowerCase());
+}
+
+/**
+ * 数式・参照・集計フィールドが参照するフィールドの一覧を返す
+ * - formula: 数式中の [フィールド名]（同じテーブル内）
+ * - lookup / rollup: options.linkField のリンクフィールドと、そのリンク先テーブルの options.lookupField
+ */
+function getFormulaDependencies(field, tableName, tables) {
+    const options = field.options || {};
+
+    if (String(field.type).toLowerCase() === 'formula') {
+        return [...String(options.formula || '').matchAll(/\\[([^\\[\\]]+)\\]/g)]
+            .map(match => ({ table: tableName, field: match[1].trim() }));
+    }
+
+    const table = tables.find(t => t.name === tableName);
+    const linkField = table?.fields.find(f => f.name === options.linkField && isLinkField(f));
+    const dependencies = [{ table: tableName, field: options.linkField }];
+    if (linkField?.options?.linkTable) {
+        dependencies.push({ table: linkField.options.linkTable, field: options.lookupField });
+    }
+    return dependencies;
+}
+
+/**
+ * 数式・参照・集計フィールドを、参照先が先に作成されるよう並べ替える
+ * isAvailable は既に作成済み（作成予定）のフィールドかどうかを返す関数です。
+ * 参照先が見つからない、または循環参照しているフィールドは unresolved に入ります。
+ */
+function orderComputedFields(items, tables, isAvailable) {
+    const ordered = [];
+    const resolved = new Set();
+    const key = (table, field) => \`\${table}\\n\${field}\`;
+    let pending = [...items];
+
+    while (pending.length > 0) {
+        const ready = pending.filter(({ tableName, field }) =>
+            getFormulaDependencies(field, tableName, tables)
+                .every(dep => isAvailable(dep) || resolved.has(key(dep.table, dep.field)))
+        );
+        if (ready.length === 0) {
+            break;
+        }
+        for (const item of ready) {
+            ordered.push(item);
+            resolved.add(key(item.tableName, item.field.name));
+        }
+        pending = pending.filter(item => !ready.includes(item));
+    }
+
+    return { ordered, unresolved: pending };
+}
+
+/**
+ * 数式フィールドの式をLarkの数式（formula_expression）に変換する
+ * フィールド名による参照は bitable::$table[テーブルID].$field[フィールドID] 形式に置き換えます。
+ */
+function buildFormulaExpression(options, { tableIds = {}, fieldIds = {}, tableName }) {
+    const fieldRef = (table, field) => {
+        const fieldId = fieldIds[table]?.[field];
+        if (!tableIds[table] || !fieldId) {
+            throw new Error(\`参照先フィールド「\${table}.\${field}」が見つかりません。\`);
+        }
+        return \`bitable::$table[\${tableIds[table]}].$field[\${fieldId}]\`;
+    };
+
+    if (!options.formula) {
+        throw new Error('数式が指定されていません。');
+    }
+    return options.formula.replace(/\\[([^\\[\\]]+)\\]/g, (_, name) => fieldRef(tableName, name.trim()));
+}
+
+/**
+ * Larkの画面で作成する参照・集計フィールドの設定内容（構築結果の理由として表示する）
+ */
+function describeManualField(field) {
+    const options = field.options || {};
+    const target = \`リンク「\${options.linkField || '?'}」のリンク先の「\${options.lookupField || '?'}」\`;
+    const setting = field.type === 'rollup'
+        ? \`\${target}を\${String(options.aggregate || 'SUM').toUpperCase()}で集計\`
+        : \`\${target}を参照\`;
+    return \`参照・集計フィールドは作成しません。Larkの画面で作成してください（\${setting}）\`;
+}
+
+// --- Build Planning ---
+
+// Lark API 1回あたりの想定応答時間（ミリ秒）
+const ESTIMATED_API_LATENCY_MS = 400;
+
+/**
+ * AIの設計結果やユーザーのスキーマを構築処理が扱える形に揃える
+ * - 名前の前後の空白を除き、空の名前には仮の名前を付け、長すぎる名前は切り詰める
+ * - 重複したテーブル名・フィールド名には連番を付ける
+ * - 名前を変えたテーブル・フィールドを参照するリンク先（linkTable）・参照（linkField / lookupField）・数式の [フィールド名] を新しい名前に書き換える
+ * - タイプの別名（string / int / select など）を対応タイプに揃え、未対応のタイプはテキストとして作成する
+ * - 主フィールド（primary: true）を1テーブルに1つ決めて先頭に移す（指定が無ければ主フィールドにできる最初のフィールド）
+ * - サンプルデータ件数は0〜20件に制限。limitFields: true（AIの設計）の場合は、フィールド数も1テーブルあたり MAX_FIELDS_PER_TABLE 個に制限
+ *   （取り込むファイルやユーザーが用意したスキーマの列は減らさない）
+ * - ビューのタイプを揃え、存在しない・使えないフィールドを参照する設定を除く（1テーブルあたり MAX_VIEWS_PER_TABLE 個まで）
+ * 調整した内容は warnings に日本語で返します。
+ */
+function normalizeSchema(schema, { limitFields = false } = {}) {
+    const warnings = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    // 変更前の名前（前後の空白を除いたもの）→ 変更後の名前。同名が複数ある場合は最初のものを指す
+    const tableRenames = new Map();
+    // 変更後のテーブル名 → フィールドの変更前の名前 → 変更後の名前
+    const fieldRenames = new Map();
+
+    // 空白を除いて長さを制限し、使用済みの名前と重ならないようにする（renames に変更前後の名前を記録する）
+    const uniqueName = (value, fallback, used, label, renames) => {
+        const original = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+        let name = original;
+        if (!name) {
+            name = fallback;
+            warnings.push(\`\${label}の名前が空のため、「\${name}」としました。\`);
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            const shortened = name.slice(0, MAX_NAME_LENGTH);
+            warnings.push(\`\${label}「\${shortened}…」の名前が\${MAX_NAME_LENGTH}文字を超えるため、切り詰めました。\`);
+            name = shortened;
+        }
+        if (used.has(name)) {
+            let index = 2;
+            while (used.has(\`\${name}_\${index}\`)) {
+                index++;
+            }
+            warnings.push(\`\${label}「\${name}」が重複しているため、「\${name}_\${index}」としました。\`);
+            name = \`\${name}_\${index}\`;
+        }
+        used.add(name);
+        if (original && !renames.has(original)) {
+            renames.set(original, name);
+        }
+        return name;
+    };
+
+    let baseName = typeof schema.baseName === 'string' ? schema.baseName.trim() : '';
+    if (baseName.length > MAX_NAME_LENGTH) {
+        baseName = baseName.slice(0, MAX_NAME_LENGTH);
+        warnings.push(\`Base名が\${MAX_NAME_LENGTH}文字を超えるため、切り詰めました。\`);
+    }
+
+    const tableNames = new Set();
+    const tables = (Array.isArray(schema.tables) ? schema.tables : []).filter(isObject).map((table, ti) => {
+        const name = uniqueName(table.name, \`テーブル\${ti + 1}\`, tableNames, 'テーブル', tableRenames);
+
+        const fieldNames = new Set();
+        const renames = new Map();
+        fieldRenames.set(name, renames);
+        let fields = (Array.isArray(table.fields) ? table.fields : []).filter(isObject).map((field, fi) => {
+            const fieldName = uniqueName(field.name, \`フィールド\${fi + 1}\`, fieldNames, \`テーブル「\${name}」のフィールド\`, renames);
+            const type = normalizeFieldType(field.type);
+            const { options: rawOptions, description, ...rest } = field;
+            let options = isObject(rawOptions) ? normalizeFieldFormat(type, rawOptions, \`\${name}.\${fieldName}\`, warnings) : rawOptions;
+            if (type === 'single_select' || type === 'multi_select') {
+                options = normalizeSelectChoices(isObject(options) ? options : {}, \`\${name}.\${fieldName}\`, warnings);
+            }
+            const normalized = {
+                ...rest,
+                name: fieldName,
+                type: type || 'text',
+                ...(normalizeDescription(description) ? { description: normalizeDescription(description) } : {}),
+                ...(isObject(options) ? { options } : {})
+            };
+            if (!type) {
+                warnings.push(field.type
+                    ? \`「\${name}.\${fieldName}」のタイプ「\${field.type}」には対応していないため、テキストとして作成します。\`
+                    : \`「\${name}.\${fieldName}」のタイプが指定されていないため、テキストとして作成します。\`);
+            } else if ((type === 'single_select' || type === 'multi_select') && options.choices.length === 0) {
+                warnings.push(\`「\${name}.\${fieldName}」に選択肢が無いため、仮の選択肢（オプション1〜3）を設定します。\`);
+            }
+            return normalized;
+        });
+        fields = choosePrimaryField(name, fields, warnings);
+        if (limitFields && fields.length > MAX_FIELDS_PER_TABLE) {
+            warnings.push(\`テーブル「\${name}」のフィールドが\${fields.length}個あるため、先頭の\${MAX_FIELDS_PER_TABLE}個のみ作成します（\${fields.slice(MAX_FIELDS_PER_TABLE).map(field => field.name).join('、')} を除外）。\`);
+            fields = fields.slice(0, MAX_FIELDS_PER_TABLE);
+        }
+
+        const viewNames = new Set();
+        let views = (Array.isArray(table.views) ? table.views : []).filter(isObject).flatMap(view => {
+            const viewType = normalizeViewType(view.type);
+            if (!viewType) {
+                warnings.push(\`テーブル「\${name}」のビュー\${view.name ? \`「\${view.name}」\` : ''}のタイプ「\${view.type ?? ''}」には対応していないため、作成しません。\`);
+                return [];
+            }
+            const viewName = uniqueName(view.name, VIEW_TYPE_LABELS[viewType], viewNames, \`テーブル「\${name}」のビュー\`, new Map());
+            return [normalizeView({ ...view, name: viewName, type: viewType }, \`\${name}.\${viewName}\`, fields, warnings, renames)];
+        });
+        if (views.length > MAX_VIEWS_PER_TABLE) {
+            warnings.push(\`テーブル「\${name}」のビューが\${views.length}個あるため、先頭の\${MAX_VIEWS_PER_TABLE}個のみ作成します（\${views.slice(MAX_VIEWS_PER_TABLE).map(view => view.name).join('、')} を除外）。\`);
+            views = views.slice(0, MAX_VIEWS_PER_TABLE);
+        }
+
+        const requested = Number(table.sampleDataCount) || 0;
+        const sampleDataCount = Math.min(Math.max(requested, 0), 20);
+        if (requested > 20) {
+            warnings.push(\`テーブル「\${name}」のサンプルデータは20件までのため、\${requested}件から20件に減らしました。\`);
+        }
+        // LarkのAPIではテーブルに説明を設定できないため、テーブルの説明は使用しない
+        const { description, views: _, ...rest } = table;
+        if (normalizeDescription(description)) {
+            warnings.push(\`LarkではAPIでテーブルに説明を設定できないため、テーブル「\${name}」の説明は使用しません。\`);
+        }
+        return {
+            ...rest,
+            name,
+            fields,
+            ...(views.length > 0 ? { views } : {}),
+            sampleDataCount
+        };
+    });
+
+    if (Array.isArray(schema.tables) && tables.length < schema.tables.length) {
+        warnings.push(\`オブジェクトではないテーブル定義を\${schema.tables.length - tables.length}件無視しました。\`);
+    }
+    return { ...schema, baseName, tables: renameReferences(tables, tableRenames, fieldRenames), warnings };
+}
+
+/**
+ * 名前を変えたテーブル・フィールドへの参照（linkTable・linkField・lookupField・数式の [フィールド名]）を新しい名前に書き換える
+ * tableRenames / fieldRenames は normalizeSchema で記録した変更前 → 変更後の名前です（変更していない名前も含む）。
+ */
+function renameReferences(tables, tableRenames, fieldRenames) {
+    const renamed = (renames, value) => (typeof value === 'string' && renames?.get(value.trim())) || value;
+    return tables.map(table => {
+        const ownFields = fieldRenames.get(table.name);
+        return {
+            ...table,
+            fields: table.fields.map(field => {
+                const options = field.options;
+                if (!options || typeof options !== 'object') {
+                    return field;
+                }
+                const result = { ...options };
+                if (options.linkTable !== undefined) {
+                    result.linkTable = renamed(tableRenames, options.linkTable);
+                }
+                if (options.linkField !== undefined) {
+                    result.linkField = renamed(ownFields, options.linkField);
+                }
+                if (options.lookupField !== undefined) {
+                    // lookupField はリンクフィールドのリンク先テーブルのフィールド
+                    const linkField = table.fields.find(item => item.name === result.linkField);
+                    result.lookupField = renamed(fieldRenames.get(renamed(tableRenames, linkField?.options?.linkTable)), options.lookupField);
+                }
+                if (typeof options.formula === 'string') {
+                    result.formula = options.formula.replace(/\\[([^\\[\\]]+)\\]/g, (match, name) => ownFields.has(name.trim()) ? \`[\${ownFields.get(name.trim())}]\` : match);
+                }
+                return { ...field, options: result };
+            })
+        };
+    });
+}
+
+/**
+ * テーブルの主フィールドを1つに決め、先頭に並べ替えたフィールド一覧を返す
+ * 主フィールドにできるタイプのフィールドが無い場合は、Larkの既定の主フィールドを残します。
+ */
+function choosePrimaryField(tableName, fields, warnings) {
+    const canBePrimary = field => PRIMARY_FIELD_TYPES.includes(field.type);
+    const marked = fields.filter(field => field.primary === true);
+    if (marked.length > 1) {
+        warnings.push(\`テーブル「\${tableName}」で複数のフィールドが主フィールドに指定されているため、「\${marked[0].name}」を主フィールドにします。\`);
+    }
+    let primary = marked[0];
+    if (primary && !canBePrimary(primary)) {
+        warnings.push(\`「\${tableName}.\${primary.name}」（\${primary.type}）は主フィールドにできないタイプのため、通常のフィールドとして作成します。\`);
+        primary = null;
+    }
+    primary = primary || fields.find(canBePrimary);
+    if (!primary) {
+        if (fields.length > 0) {
+            warnings.push(\`テーブル「\${tableName}」に主フィールドにできるタイプ（\${PRIMARY_FIELD_TYPES.join(' / ')}）のフィールドが無いため、Larkの既定の主フィールドが残ります。\`);
+        }
+        return fields.map(({ primary: _, ...field }) => field);
+    }
+    return [
+        { ...primary, primary: true },
+        ...fields.filter(field => field !== primary).map(({ primary: _, ...field }) => field)
+    ];
+}
+
+/**
+ * フィールドタイプの表記ゆれを対応タイプ名に揃える（対応していない場合は null）
+ */
+function normalizeFieldType(type) {
+    if (typeof type !== 'string') {
+        return null;
+    }
+    const key = type.trim().toLowerCase().replace(/[\\s-]+/g, '_');
+    if (FIELD_TYPE_LABELS[key]) {
+        return key;
+    }
+    return FIELD_TYPE_ALIASES[key] || FIELD_TYPE_ALIASES[key.replace(/_/g, '')] || null;
+}
 
-【商品マスタテーブル】
-・商品名、商品コード、カテゴリ
-・仕入価格、販売価格、メーカー
-・最小在庫数、商品説明
+/**
+ * テーブル・フィールドの説明を揃える（空の場合は null）
+ */
+function normalizeDescription(description) {
+    if (typeof description !== 'string' && typeof description !== 'number') {
+        return null;
+    }
+    return String(description).trim() || null;
+}
 
-【在庫テーブル】
-・商品、現在庫数、安全在庫数
-・最終入庫日、最終出庫日
-・在庫状況（正常、不足、過剰）
+/**
+ * 選択肢を options.choices（[{ name, color }]）に揃える
+ * 以前の形式（options['オプション'] のカンマ・読点区切りの文字列）も受け付け、choices に変換します。
+ * 重複した選択肢は1つにまとめ、使用できない色番号は取り除きます（Larkが自動で色を付ける）。
+ */
+function normalizeSelectChoices(options, label, warnings) {
+    const { 'オプション': _, ...rest } = options;
+    const names = new Set();
+    const choices = [];
+    for (const choice of getSelectChoices(options)) {
+        if (names.has(choice.name)) {
+            warnings.push(\`「\${label}」の選択肢「\${choice.name}」が重複しているため、1つにまとめました。\`);
+            continue;
+        }
+        names.add(choice.name);
+        if (choice.color !== undefined && !(Number.isInteger(choice.color) && choice.color >= 0 && choice.color <= MAX_SELECT_COLOR)) {
+            warnings.push(\`「\${label}」の選択肢「\${choice.name}」の色（\${choice.color}）は0〜\${MAX_SELECT_COLOR}の番号ではないため、自動で設定します。\`);
+            delete choice.color;
+        }
+        choices.push(choice);
+    }
+    return { ...rest, choices };
+}
 
-【入出庫履歴テーブル】
-・商品、入出庫区分（入庫、出庫）
-・数量、日時、担当者
-・備考、関連伝票番号\`
-            ];
+/**
+ * フィールドの表示形式のオプションを確認し、Larkで使用できる値に揃える
+ * 補正できない値は警告を追加して取り除き、既定の表示形式で作成します。
+ * 対象: number / currency（precision・percentage・currencyCode）、date / date_time（dateFormat）、
+ * rating（max・symbol）、member / group_chat（multiple）、auto_number（prefix・dateFormat・digits）、
+ * created_time / modified_time（dateFormat）
+ */
+function normalizeFieldFormat(type, options, label, warnings) {
+    const result = { ...options };
+    const drop = (key, message) => {
+        warnings.push(\`「\${label}」の\${message}ため、既定の表示形式で作成します。\`);
+        delete result[key];
+    };
+    const toBoolean = (key, name) => {
+        if (result[key] === undefined || typeof result[key] === 'boolean') {
+            return;
+        }
+        if (result[key] === 'true' || result[key] === 'false') {
+            result[key] = result[key] === 'true';
+            return;
+        }
+        drop(key, \`\${name}（\${key}: \${result[key]}）は true / false ではない\`);
+    };
+    const toInteger = (key, name, min, max) => {
+        if (result[key] === undefined || result[key] === null || result[key] === '') {
+            delete result[key];
+            return;
+        }
+        const value = Number(result[key]);
+        if (!Number.isFinite(value)) {
+            drop(key, \`\${name}（\${key}: \${result[key]}）が数値ではない\`);
+            return;
+        }
+        const clamped = Math.min(Math.max(Math.round(value), min), max);
+        if (clamped !== value) {
+            warnings.push(\`「\${label}」の\${name}は\${min}〜\${max}で指定できるため、\${result[key]}を\${clamped}にしました。\`);
+        }
+        result[key] = clamped;
+    };
 
-            function setExample(index) {
-                document.getElementById('prompt').value = examples[index];
-                updateCharCounter();
+    switch (type) {
+        case 'number':
+            toInteger('precision', '小数点以下の桁数', 0, MAX_DECIMAL_PRECISION);
+            toBoolean('percentage', 'パーセント表示');
+            // Larkのパーセント表示は 0% / 0.00% のみ
+            if (result.percentage === true && result.precision !== undefined && ![0, 2].includes(result.precision)) {
+                warnings.push(\`「\${label}」のパーセント表示は小数点以下0桁または2桁のみのため、\${result.precision}桁を2桁にしました。\`);
+                result.precision = 2;
             }
-
-            function updateCharCounter() {
-                const textarea = document.getElementById('prompt');
-                const counter = document.getElementById('char-counter');
-                const length = textarea.value.length;
-                counter.textContent = \`\${length} / 2000\`;
-                
-                if (length > 1800) {
-                    counter.style.color = '#f56565';
-                } else if (length > 1500) {
-                    counter.style.color = '#ed8936';
+            break;
+        case 'currency':
+            toInteger('precision', '小数点以下の桁数', 0, MAX_DECIMAL_PRECISION);
+            if (result.currencyCode !== undefined) {
+                const code = String(result.currencyCode).trim().toUpperCase();
+                if (/^[A-Z]{3}$/.test(code)) {
+                    result.currencyCode = code;
                 } else {
-                    counter.style.color = 'rgba(255, 255, 255, 0.6)';
+                    drop('currencyCode', \`通貨コード「\${result.currencyCode}」が3文字の通貨コード（JPY / USD / EUR など）ではない\`);
                 }
             }
-
-            function setStepStatus(stepNumber, status) {
-                const step = document.getElementById(\`step-\${stepNumber}\`);
-                if (!step) return;
-                
-                step.classList.remove('active', 'completed');
-                if (status === 'active') {
-                    step.classList.add('active');
-                } else if (status === 'completed') {
-                    step.classList.add('completed');
+            break;
+        case 'date':
+        case 'date_time':
+        case 'created_time':
+        case 'modified_time': {
+            if (result.dateFormat === undefined) {
+                break;
+            }
+            // 日付以外（日時・作成日時・更新日時）は時刻を含む形式を使う
+            const withTime = type !== 'date';
+            const format = String(result.dateFormat).trim();
+            const candidates = withTime ? [format, \`\${format} HH:mm\`] : [format, format.replace(/\\s*HH:mm$/, '')];
+            const matched = candidates.find(candidate => DATE_FORMATS.includes(candidate) && candidate.includes('HH') === withTime);
+            if (matched) {
+                result.dateFormat = matched;
+            } else {
+                drop('dateFormat', \`表示形式「\${result.dateFormat}」には対応していない（\${DATE_FORMATS.filter(candidate => candidate.includes('HH') === withTime).join(' / ')}）\`);
+            }
+            break;
+        }
+        case 'auto_number':
+            if (result.prefix !== undefined) {
+                result.prefix = String(result.prefix ?? '').trim();
+                if (!result.prefix) delete result.prefix;
+            }
+            if (result.dateFormat !== undefined && !AUTO_NUMBER_DATE_FORMATS.includes(String(result.dateFormat).trim())) {
+                drop('dateFormat', \`番号の日付「\${result.dateFormat}」には対応していない（\${AUTO_NUMBER_DATE_FORMATS.join(' / ')}）\`);
+            }
+            toInteger('digits', '連番の桁数', 1, MAX_AUTO_NUMBER_DIGITS);
+            break;
+        case 'rating':
+            toInteger('max', '最大値', 1, MAX_RATING);
+            if (result.symbol !== undefined) {
+                const symbol = String(result.symbol).trim().toLowerCase();
+                if (RATING_SYMBOLS.includes(symbol)) {
+                    result.symbol = symbol;
+                } else {
+                    drop('symbol', \`評価の記号「\${result.symbol}」には対応していない（\${RATING_SYMBOLS.join(' / ')}）\`);
                 }
             }
+            break;
+        case 'member':
+            toBoolean('multiple', '複数人の割り当て');
+            break;
+        case 'group_chat':
+            toBoolean('multiple', '複数のグループの割り当て');
+            break;
+    }
+    return result;
+}
 
-            async function createBase() {
-                const promptText = document.getElementById('prompt').value.trim();
-                const resultEl = document.getElementById('result');
-                const loadingSection = document.getElementById('loading-section');
-                const progressSteps = document.getElementById('progress-steps');
-                const button = document.getElementById('submit-button');
+/**
+ * ビュータイプの表記ゆれをLarkの view_type に揃える（対応していない場合は null）
+ */
+function normalizeViewType(type) {
+    if (typeof type !== 'string') {
+        return null;
+    }
+    const key = type.trim().toLowerCase().replace(/[\\s_-]*view$/, '').replace(/ビュー$/, '');
+    if (VIEW_TYPE_LABELS[key]) {
+        return key;
+    }
+    return VIEW_TYPE_ALIASES[key] || null;
+}
 
-                if (!promptText) {
-                    showError('指示内容を入力してください。');
-                    return;
-                }
+/**
+ * ビューの設定（groupBy・dateField・endDateField・filters・sorts）を確認し、テーブルのフィールドで使える値に揃える
+ * renames には normalizeSchema で名前を変えたフィールドの変更前 → 変更後の名前を渡します。
+ * - カンバンの groupBy（単一選択・メンバー）、ガントの dateField / endDateField（日付）は、
+ *   指定が無いか使えない場合に該当するタイプの最初のフィールドを使う
+ * - filters は [{ field, operator, value: [値] }]、sorts は [{ field, desc }] に揃え、使えない条件は取り除く
+ * - ビューのタイプに関係しない設定は取り除く（フォームにはフィルター・並べ替えを設定しない）
+ */
+function normalizeView(view, label, fields, warnings, renames = new Map()) {
+    const { name, type } = view;
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    // 名前を変えたフィールドは変更後の名前で探す
+    const findField = value => {
+        const key = String(value ?? '').trim();
+        return fields.find(field => field.name === (renames.get(key) || key));
+    };
+    const result = { name, type };
 
-                if (promptText.length < 20) {
-                    showError('指示内容が短すぎます。もう少し詳しく説明してください。');
-                    return;
-                }
+    // 指定されたフィールドが使えない場合は、同じ用途に使えるタイプの最初のフィールドにする
+    const pickField = (key, allowedTypes, purpose, exclude = null) => {
+        const requested = view[key] === undefined || view[key] === null ? '' : String(view[key]).trim();
+        const field = findField(requested);
+        if (field && allowedTypes.includes(field.type)) {
+            return field.name;
+        }
+        const fallback = fields.find(candidate => allowedTypes.includes(candidate.type) && candidate.name !== exclude);
+        if (requested || !fallback) {
+            const reason = !requested ? \`\${purpose}が指定されていない\` : (field ? \`\${purpose}「\${requested}」は使えないタイプのフィールドの\` : \`\${purpose}「\${requested}」が見つからない\`);
+            warnings.push(\`ビュー「\${label}」の\${reason}ため、\${fallback ? \`「\${fallback.name}」を使います\` : 'Larkの画面で設定してください'}。\`);
+        }
+        return fallback ? fallback.name : null;
+    };
 
-                // UI状態をリセット
-                resultEl.innerHTML = '';
-                loadingSection.style.display = 'block';
-                progressSteps.style.display = 'block';
-                button.disabled = true;
-                button.textContent = '作成中...';
+    if (type === 'kanban') {
+        result.groupBy = pickField('groupBy', VIEW_GROUP_FIELD_TYPES, 'グループ化するフィールド');
+    }
+    if (type === 'gantt') {
+        result.dateField = pickField('dateField', VIEW_DATE_FIELD_TYPES, '開始日のフィールド');
+    }
+    if (type === 'gantt' && result.dateField) {
+        result.endDateField = pickField('endDateField', VIEW_DATE_FIELD_TYPES, '終了日のフィールド', result.dateField);
+    }
+    Object.keys(result).forEach(key => {
+        if (result[key] === null) delete result[key];
+    });
 
-                // プログレス表示
-                setStepStatus(1, 'active');
+    const filters = (Array.isArray(view.filters) ? view.filters : []).filter(isObject).flatMap(filter => {
+        const field = findField(filter.field);
+        const operator = VIEW_FILTER_OPERATORS.find(item => item.toLowerCase() === String(filter.operator ?? '').trim().toLowerCase())
+            || VIEW_FILTER_OPERATOR_ALIASES[String(filter.operator ?? '').trim()];
+        if (!field || !operator) {
+            warnings.push(\`ビュー「\${label}」のフィルター（\${filter.field ?? ''} \${filter.operator ?? ''}）は、\${field ? \`演算子が \${VIEW_FILTER_OPERATORS.join(' / ')} のいずれでもない\` : 'フィールドが見つからない'}ため、設定しません。\`);
+            return [];
+        }
+        if (VALUELESS_FILTER_OPERATORS.includes(operator)) {
+            return [{ field: field.name, operator }];
+        }
+        let values = (Array.isArray(filter.value) ? filter.value : [filter.value])
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(value => String(value).trim());
+        if (field.type === 'single_select' || field.type === 'multi_select') {
+            const choiceNames = getSelectChoices(field.options || {}).map(choice => choice.name);
+            const unknown = values.filter(value => !choiceNames.includes(value));
+            if (unknown.length > 0) {
+                warnings.push(\`ビュー「\${label}」のフィルターの値「\${unknown.join('、')}」は「\${field.name}」の選択肢に無いため、除きました。\`);
+                values = values.filter(value => choiceNames.includes(value));
+            }
+        }
+        if (values.length === 0) {
+            warnings.push(\`ビュー「\${label}」のフィルター（\${field.name} \${operator}）に値が無いため、設定しません。\`);
+            return [];
+        }
+        return [{ field: field.name, operator, value: values }];
+    });
 
-                try {
-                    // ステップ1: AI分析
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    setStepStatus(1, 'completed');
-                    setStepStatus(2, 'active');
+    const sorts = (Array.isArray(view.sorts) ? view.sorts : []).flatMap(sort => {
+        const field = findField(isObject(sort) ? sort.field : sort);
+        if (!field) {
+            warnings.push(\`ビュー「\${label}」の並べ替えのフィールド「\${isObject(sort) ? sort.field ?? '' : sort}」が見つからないため、設定しません。\`);
+            return [];
+        }
+        return [{ field: field.name, desc: isObject(sort) && (sort.desc === true || sort.desc === 'true') }];
+    });
 
-                    const response = await fetch('/api/create', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ prompt: promptText })
-                    });
+    if (type === 'form') {
+        if (filters.length > 0 || sorts.length > 0) {
+            warnings.push(\`ビュー「\${label}」はフォームのため、フィルター・並べ替えは設定しません。\`);
+        }
+        return result;
+    }
+    return {
+        ...result,
+        ...(filters.length > 0 ? { filters } : {}),
+        ...(sorts.length > 0 ? { sorts } : {})
+    };
+}
 
-                    // ステップ2-4の進行表示
-                    setStepStatus(2, 'completed');
-                    setStepStatus(3, 'active');
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                    setStepStatus(3, 'completed');
-                    setStepStatus(4, 'active');
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                    setStepStatus(4, 'completed');
+/**
+ * テーブルの作成リクエストに含めるフィールドを選ぶ（戻り値: [{ field, payload }]）
+ * 主フィールドを先頭に、リンク・数式系以外で作成できるタイプのフィールドを返します。
+ * 主フィールドが無いテーブルは先頭の列を主フィールドにできないため、空配列を返します（テーブル作成後に個別に追加する）。
+ */
+function getInitialTableFields(table) {
+    const primary = table.fields.find(field => field.primary);
+    if (!primary) {
+        return [];
+    }
+    return [primary, ...table.fields.filter(field => field !== primary)]
+        .filter(field => !isLinkField(field) && !isComputedField(field))
+        .map(field => ({ field, payload: getFieldProperty(field.type, field.options || {}) }))
+        .filter(({ payload }) => payload);
+}
 
-                    const result = await response.json();
+/**
+ * 構築時に実行されるLark API呼び出しの一覧と所要時間の見積もりを作成する（ドライラン用）
+ * handleApiPost と同じ順序・ペイロードで組み立てます（並行して構築するテーブルの呼び出しも、この一覧では順番に並べます）。
+ * まだ存在しないIDは {app_token} / {table_id:テーブル名} のプレースホルダーで表します。
+ */
+function planBuild(baseName, tables, target = null, imports = null) {
+    const calls = [];
+    const skippedFields = [];
 
-                    if (response.ok && result.success) {
-                        showSuccess(result);
-                    } else {
-                        throw new Error(result.error || '不明なエラーが発生しました。');
+    // 実行前はIDが無いため、テーブル名からプレースホルダーを引けるようにする
+    // 既存Baseへの追加時は、既存のテーブル・フィールドは実際のIDを使う
+    const structure = target?.structure || {};
+    const appPath = \`/base/v1/apps/\${target ? target.appToken : '{app_token}'}\`;
+    const tableIds = {
+        ...Object.fromEntries(Object.entries(structure).map(([name, table]) => [name, table.tableId])),
+        ...Object.fromEntries(tables.filter(table => !structure[table.name]).map(table => [table.name, \`{table_id:\${table.name}}\`]))
+    };
+    const tablePath = (table) => \`\${appPath}/tables/\${tableIds[table.name]}\`;
+    const fieldIds = {
+        ...Object.fromEntries(Object.entries(structure).map(([name, table]) => [name, { ...table.fields }])),
+        ...Object.fromEntries(tables.filter(table => !structure[table.name]).map(table => [table.name, {}]))
+    };
+    const fieldsPlanned = {};
+
+    const planField = (table, field) => {
+        let fieldPayload;
+        try {
+            fieldPayload = getFieldProperty(field.type, field.options || {}, {
+                tableIds,
+                fieldIds,
+                tableName: table.name,
+                tables
+            });
+        } catch (error) {
+            fieldPayload = null;
+        }
+        if (!fieldPayload) {
+            skippedFields.push({ table: table.name, field: field.name, type: field.type });
+            return;
+        }
+        fieldIds[table.name][field.name] = \`{field_id:\${table.name}.\${field.name}}\`;
+
+        calls.push({
+            step: 'create_field',
+            table: table.name,
+            method: 'POST',
+            path: \`\${tablePath(table)}/fields\`,
+            body: {
+                field_name: field.name,
+                type: fieldPayload.type,
+                ui_type: fieldPayload.ui_type,
+                description: getFieldDescription(field),
+                property: fieldPayload.property
+            }
+        });
+        fieldsPlanned[table.name]++;
+    };
+
+    if (!target) {
+        calls.push({
+            step: 'create_base',
+            method: 'POST',
+            path: '/base/v1/apps',
+            body: { name: baseName }
+        });
+    }
+
+    // テーブルと同時に作成するフィールド数（フィールドごとに作成する場合と比べて減る呼び出し数）
+    let fieldsWithTables = 0;
+
+    for (const table of tables) {
+        fieldsPlanned[table.name] = 0;
+        const createdWithTable = new Set();
+        if (!structure[table.name]) {
+            const initialFields = getInitialTableFields(table);
+            calls.push({
+                step: 'create_table',
+                table: table.name,
+                method: 'POST',
+                path: \`\${appPath}/tables\`,
+                body: {
+                    table: {
+                        name: table.name,
+                        ...(initialFields.length > 0 ? {
+                            fields: initialFields.map(({ field, payload }) => ({
+                                field_name: field.name,
+                                type: payload.type,
+                                ui_type: payload.ui_type,
+                                description: getFieldDescription(field),
+                                property: payload.property
+                            }))
+                        } : {})
                     }
-                } catch (error) {
-                    showError(error.message);
-                } finally {
-                    loadingSection.style.display = 'none';
-                    button.disabled = false;
-                    button.textContent = '🤖 AIにBaseの作成を依頼';
                 }
+            });
+
+            initialFields.forEach(({ field }) => {
+                fieldIds[table.name][field.name] = \`{field_id:\${table.name}.\${field.name}}\`;
+                createdWithTable.add(field);
+            });
+            fieldsPlanned[table.name] += initialFields.length;
+            fieldsWithTables += initialFields.length;
+
+            // フィールドを指定できないテーブルは、既定の主フィールドを更新し、既定の追加フィールドと空のレコードを削除する
+            const primaryField = table.fields.find(field => field.primary);
+            if (initialFields.length === 0) {
+                calls.push({ step: 'list_default_fields', table: table.name, method: 'GET', path: \`\${tablePath(table)}/fields?page_size=100\` });
+                if (primaryField) {
+                    const fieldPayload = getFieldProperty(primaryField.type, primaryField.options || {});
+                    fieldIds[table.name][primaryField.name] = \`{field_id:\${table.name}.\${primaryField.name}}\`;
+                    createdWithTable.add(primaryField);
+                    calls.push({
+                        step: 'update_primary_field',
+                        table: table.name,
+                        method: 'PUT',
+                        path: \`\${tablePath(table)}/fields/{field_id:\${table.name}.既定の主フィールド}\`,
+                        body: {
+                            field_name: primaryField.name,
+                            type: fieldPayload.type,
+                            ui_type: fieldPayload.ui_type,
+                            description: getFieldDescription(primaryField),
+                            property: fieldPayload.property
+                        }
+                    });
+                    fieldsPlanned[table.name]++;
+                }
+                calls.push({ step: 'remove_default_fields', table: table.name, method: 'DELETE', path: \`\${tablePath(table)}/fields/{field_id:\${table.name}.既定のフィールド}\` });
+                calls.push({ step: 'list_default_records', table: table.name, method: 'GET', path: \`\${tablePath(table)}/records?page_size=100\` });
+                calls.push({
+                    step: 'remove_default_records',
+                    table: table.name,
+                    method: 'POST',
+                    path: \`\${tablePath(table)}/records/batch_delete\`,
+                    body: { records: [\`{record_id:\${table.name}.既定の空レコード}\`] }
+                });
             }
+        }
 
-            function showSuccess(result) {
-                const resultEl = document.getElementById('result');
-                const summary = result.summary;
-                
-                resultEl.innerHTML = \`
-                    <div class="result-success">
-                        <div class="result-title">
-                            ✅ Base作成完了！
-                        </div>
-                        <div class="result-content">
-                            <p><strong>Base名：</strong> \${result.baseName}</p>
-                            <p><strong>URL：</strong> <a href="\${result.baseUrl}" target="_blank" class="result-url">\${result.baseUrl}</a></p>
-                            <p><strong>作成結果：</strong> \${summary.successfulTables}/\${summary.totalTables} テーブル作成成功</p>
-                            \${summary.failedTables > 0 ? \`<p style="color: #ed8936;">⚠️ \${summary.failedTables}個のテーブルで問題が発生しましたが、Baseは正常に作成されました。</p>\` : ''}
-                            <p style="margin-top: 1rem; font-size: 0.9rem; opacity: 0.8;">上記URLをクリックしてLark Baseにアクセスし、作成されたデータベースをご確認ください。</p>
-                        </div>
-                        <div class="result-details">\${JSON.stringify(result.details, null, 2)}</div>
-                    </div>
-                \`;
+        for (const field of table.fields) {
+            if (!isLinkField(field) && !isComputedField(field) && !createdWithTable.has(field)) {
+                planField(table, field);
             }
+        }
+    }
 
-            function showError(message) {
-                const resultEl = document.getElementById('result');
-                resultEl.innerHTML = \`
-                    <div class="result-error">
-                        <div class="result-title">
-                            ❌ エラーが発生しました
-                        </div>
-                        <div class="result-content">
-                            <p>\${message}</p>
-                            <p style="margin-top: 1rem; font-size: 0.9rem; opacity: 0.8;">
-                                問題が続く場合は、指示内容をより具体的にするか、しばらく時間をおいて再試行してください。
-                            </p>
-                        </div>
-                    </div>
-                \`;
+    for (const table of tables) {
+        for (const field of table.fields.filter(isLinkField)) {
+            planField(table, field);
+        }
+    }
+
+    const computedFields = tables.flatMap(table =>
+        table.fields.filter(isComputedField).map(field => ({ tableName: table.name, field, table }))
+    );
+    const { ordered, unresolved } = orderComputedFields(
+        computedFields,
+        tables,
+        dep => Boolean(fieldIds[dep.table]?.[dep.field])
+    );
+    ordered.forEach(({ table, field }) => planField(table, field));
+    unresolved.forEach(({ table, field }) => skippedFields.push({ table: table.name, field: field.name, type: field.type }));
+
+    const recordCounts = {};
+    // 取り込むテーブルごとの行数とバッチ数（行の内容は計画に含めない）
+    const importedRecords = {};
+    for (const table of tables) {
+        const importRecords = imports?.[table.name];
+        if ((importRecords || table.sampleDataCount > 0) && fieldsPlanned[table.name] > 0) {
+            const records = importRecords || buildSampleRecords(table.fields, table.sampleDataCount);
+            recordCounts[table.name] = records.length;
+            const batches = chunkRecords(records, importRecords ? IMPORT_BATCH_SIZE : 10);
+            if (importRecords) {
+                importedRecords[table.name] = { rows: records.length, batches: batches.length };
             }
+            batches.forEach(batch => {
+                calls.push({
+                    step: 'create_records',
+                    table: table.name,
+                    method: 'POST',
+                    path: \`\${tablePath(table)}/records/batch_create\`,
+                    ...(importRecords ? { rows: batch.length } : { body: { records: batch } })
+                });
+            });
+        }
+    }
 
-            // 初期化
-            updateCharCounter();
-        </script>
-    </body>
-    </html>
-    `;
+    for (const table of tables) {
+        const linkFields = table.fields.filter(field =>
+            isLinkField(field) && !skippedFields.some(skipped => skipped.table === table.name && skipped.field === field.name)
+        );
+        const recordCount = recordCounts[table.name] || 0;
+        if (linkFields.length === 0 || recordCount === 0) {
+            continue;
+        }
 
-    return new Response(html, {
-        headers: { 'Content-Type': 'text/html;charset=utf-8' },
-    });
-}
+        const recordIdsByTable = Object.fromEntries(Object.entries(recordCounts).map(([name, count]) =>
+            [name, Array.from({ length: count }, (_, i) => \`{record_id:\${name}#\${i + 1}}\`)]
+        ));
+        const batches = chunkRecords(buildLinkUpdates(recordIdsByTable[table.name], linkFields, recordIdsByTable));
+        batches.forEach(batch => {
+            calls.push({
+                step: 'link_records',
+                table: table.name,
+                method: 'POST',
+                path: \`\${tablePath(table)}/records/batch_update\`,
+                body: { records: batch }
+            });
+        });
+    }
 
-// --- Utility Functions ---
+    for (const table of tables.filter(table => table.views?.length > 0)) {
+        const viewPath = \`\${tablePath(table)}/views\`;
+        calls.push({ step: 'list_views', table: table.name, method: 'GET', path: \`\${viewPath}?page_size=100\` });
+        if (table.views.some(view => view.filters)) {
+            calls.push({ step: 'list_fields', table: table.name, method: 'GET', path: \`\${tablePath(table)}/fields?page_size=100\` });
+        }
+        for (const view of table.views) {
+            calls.push({
+                step: 'create_view',
+                table: table.name,
+                method: 'POST',
+                path: viewPath,
+                body: { view_name: view.name, view_type: view.type }
+            });
+            if (view.filters) {
+                // 選択肢の option id は作成後に決まるため、プレースホルダーで表す
+                const getField = name => {
+                    const field = table.fields.find(item => item.name === name);
+                    return {
+                        field_id: fieldIds[table.name][name],
+                        property: { options: getSelectChoices(field?.options || {}).map(choice => ({ name: choice.name, id: \`{option_id:\${choice.name}}\` })) }
+                    };
+                };
+                calls.push({
+                    step: 'update_view',
+                    table: table.name,
+                    method: 'PATCH',
+                    path: \`\${viewPath}/{view_id:\${table.name}.\${view.name}}\`,
+                    body: { property: { filter_info: getViewFilterInfo(view.filters, getField) } }
+                });
+            }
+        }
+    }
 
-/**
- * 指定された時間だけ待機する
- */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    // 1回あたりの所要時間は、並行数で割った応答時間とリクエスト数の上限による間隔のうち長い方で概算する
+    const perCallMs = Math.max(ESTIMATED_API_LATENCY_MS / TABLE_BUILD_CONCURRENCY, 1000 / (LARK_REQUESTS_PER_SECOND - LARK_REQUEST_BURST));
+    const estimatedDurationMs = Math.ceil(calls.length * perCallMs);
+    // テーブルと同時に作成したフィールドを1つずつ作成した場合に、追加でかかっていた時間
+    const savedDurationMs = Math.ceil(fieldsWithTables * perCallMs);
+
+    return {
+        totalCalls: calls.length,
+        estimatedDurationMs,
+        estimatedDuration: formatDuration(estimatedDurationMs),
+        fieldsCreatedWithTables: fieldsWithTables,
+        estimatedSavedDurationMs: savedDurationMs,
+        estimatedSavedDuration: formatDuration(savedDurationMs),
+        skippedFields,
+        importedRecords,
+        calls
+    };
 }
 
 // --- Lark API Helpers ---
 
 /**
  * AIからスキーマを生成する（完全改善版）
+ * provider は resolveAiProvider で決めたプロバイダー設定です。どのプロバイダーでも同じ形式のスキーマを返します。
  */
-async function generateSchemaFromAI(userPrompt, apiKey) {
-    if (!apiKey) {
-        throw new Error("GEMINI_API_KEY is not configured.");
-    }
-
-    const apiUrl = \`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=\${apiKey}\`;
+async function generateSchemaFromAI(userPrompt, provider, existingStructure = null) {
+    const definition = AI_PROVIDERS[provider.name];
 
     const systemPrompt = \`あなたはLark Baseのデータベース設計専門家です。
 ユーザーの要求を分析し、実用的なテーブル構造を設計してください。
 
 重要な制約：
-- 応答は必ずJSONオブジェクトのみ
+- 応答は必ずJSONオブジェクトのみ（形式: {"baseName": "Base名", "tables": [{"name": "テーブル名", "fields": [{"name": "フィールド名", "type": "タイプ", "description": "フィールドの説明", "options": {}}], "views": [{"name": "ビュー名", "type": "ビューのタイプ"}], "sampleDataCount": 件数}]}）
 - テーブル数は最大10個まで
 - フィールド数は1テーブルあたり最大15個まで
+- 各テーブルの最初のフィールドは、レコードを識別する項目（名前・件名など。text / number / date などのタイプ）にする（テーブルの主フィールドになる）
 - サンプルデータは最大20件まで
+- ビューは1テーブルあたり最大\${MAX_VIEWS_PER_TABLE}個まで
 - 実際に使用可能なフィールドタイプのみ使用
 
 利用可能なフィールドタイプ：
-- text: テキスト
-- number: 数値
-- single_select: 単一選択（オプション必須）
-- multi_select: 複数選択（オプション必須）
-- date: 日付
-- date_time: 日時
+- text: テキスト（1行の短い文字列）
+- multiline_text: 複数行のテキスト（説明・メモ・備考など長い文章）
+- number: 数値（options.precision に小数点以下の桁数 0〜\${MAX_DECIMAL_PRECISION}、割合は options.percentage: true。パーセント表示の桁数は 0 または 2 のみ）
+- single_select: 単一選択（options.choices に選択肢の配列が必須。例: [{"name": "高", "color": 0}, {"name": "中", "color": 1}]。color は 0〜\${MAX_SELECT_COLOR} の色番号で省略可）
+- multi_select: 複数選択（options.choices は single_select と同じ）
+- date: 日付（options.dateFormat に \${DATE_FORMATS.filter(format => !format.includes('HH')).join(' / ')} のいずれか）
+- date_time: 日時（options.dateFormat に \${DATE_FORMATS.filter(format => format.includes('HH')).join(' / ')} のいずれか）
 - checkbox: チェックボックス
-- member: メンバー
+- member: メンバー（複数人を割り当てる場合は options.multiple: true）
 - phone: 電話番号
 - url: URL
 - email: メール
-- currency: 通貨
-- rating: 評価\`;
+- currency: 通貨（options.currencyCode に JPY / USD / EUR などの通貨コード、options.precision に小数点以下の桁数）
+- rating: 評価（options.max に最大値 1〜\${MAX_RATING}、options.symbol に \${RATING_SYMBOLS.join(' / ')} のいずれか）
+- progress: 進捗（0〜100%の進捗バー）
+- barcode: バーコード・QRコード
+- attachment: 添付ファイル（画像・書類など）
+- location: 位置情報（地図上の地点）
+- group_chat: グループチャット（複数の場合は options.multiple: true）
+- auto_number: 自動採番（options.prefix に接頭辞、options.dateFormat に \${AUTO_NUMBER_DATE_FORMATS.join(' / ')} のいずれかの作成日、options.digits に連番の桁数 1〜\${MAX_AUTO_NUMBER_DIGITS}。例: 接頭辞 "INV-"、日付 yyyyMMdd、3桁 → INV-20240101001）
+- created_time / modified_time: 作成日時 / 更新日時（自動で記録される。options.dateFormat は date_time と同じ）
+- created_by / modified_by: 作成者 / 更新者（自動で記録される）
+- link: 他テーブルへのリンク（options.linkTable にリンク先テーブル名必須）
+- duplex_link: 他テーブルとの双方向リンク（options.linkTable にリンク先テーブル名必須。逆方向のフィールドは自動作成されるため、リンク先テーブル側には定義しない）
+- formula: 数式（options.formula に同じテーブルのフィールドを [フィールド名] で参照する式。例: [販売価格] * [数量]、IF([現在庫数] < [安全在庫数], "不足", "正常")）
+- 他テーブルの値の参照・集計（lookup / rollup）はこのツールでは作成できないため使わない
+
+利用可能なビュー（views。既定のグリッドビューは自動で作成されるため、追加するビューのみ指定する）：
+- kanban: カンバン（単一選択またはメンバーのフィールドがあるテーブル向け）
+- gantt: ガント（開始日と終了日のフィールドがあるテーブル向け）
+- gallery: ギャラリー（カード形式の一覧。添付ファイルのあるテーブル向け）
+- form: フォーム（レコードを入力するための画面）
+- grid: グリッド（絞り込み・並べ替えを変えた一覧）
+- form 以外のビューには filters（例: [{"field": "状態", "operator": "isNot", "value": ["完了"]}]。operator は \${VIEW_FILTER_OPERATORS.join(' / ')} のいずれか）を指定できる
+- このツールが設定するのはビューの名前・タイプ・filters のみ。グループ化・日付フィールド・並べ替えは作成後にLarkの画面で設定するため指定しない\`;
 
     const enhancedUserPrompt = \`
 以下の要求に基づいて、実用的なLark Baseのテーブル構造を設計してください：
 
 要求内容：
-"\${userPrompt}"
-
-設計時の注意点：
-1. 実際の業務で使いやすい構造にする
-2. 必要最小限のテーブル数に抑える
-3. 各テーブルに適切なサンプルデータ件数を設定する（0-20件）
-4. 選択肢が必要なフィールドには具体的な選択肢を提供する
-5. テーブル名とフィールド名は日本語で分かりやすく命名する\`;
-
-    const payload = {
-        "system_instruction": { "parts": { "text": systemPrompt } },
-        "contents": [{ "parts": [{ "text": enhancedUserPrompt }] }],
-        "generationConfig": {
-            "response_mime_type": "application/json",
-            "response_schema": {
-                "type": "OBJECT",
-                "properties": {
-                    "baseName": { "type": "STRING" },
-                    "tables": {
-                        "type": "ARRAY",
-                        "items": {
-                            "type": "OBJECT",
-                            "properties": {
-                                "name": { "type": "STRING" },
-                                "fields": {
-                                    "type": "ARRAY",
-                                    "items": {
-                                        "type": "OBJECT",
-                                        "properties": {
-                                            "name": { "type": "STRING" },
-                                            "type": { "type": "STRING" },
-                                            "options": {
-                                                "type": "OBJECT",
-                                                "properties": {
-                                                    "オプション": { "type": "STRING" }
-                                                }
-                                            }
-                                        }
-                                    }
-                                },
-                                "sampleDataCount": { "type": "NUMBER" }
-                            }
-                        }
-                    }
-                }
-            }
-        }
-    };
-    
+"\${userPrompt}"
+
+設計時の注意点：
+1. 実際の業務で使いやすい構造にする
+2. 必要最小限のテーブル数に抑える
+3. 各テーブルに適切なサンプルデータ件数を設定する（0-20件）
+4. 選択肢が必要なフィールドには具体的な選択肢を options.choices で提供する（状態・優先度などは意味に合った色を付ける）
+5. テーブル名とフィールド名は日本語で分かりやすく命名する
+6. 「関連顧客」「関連プロジェクト」のように他テーブルを参照する項目は link または duplex_link とし、options.linkTable にリンク先のテーブル名を正確に指定する
+7. 合計・判定など同じテーブルの項目から計算できる項目は formula とし、参照するフィールド名を正確に指定する
+8. 海外の金額は通貨コード、小数を含む数量・割合は桁数やパーセント表示など、用途に合った表示形式を options で指定する
+9. 伝票番号・管理番号は auto_number、登録日・最終更新日・登録者などの記録は created_time / modified_time / created_by / modified_by を使う（これらはサンプルデータでは値を設定しない）
+10. 各フィールドには、用途や入力する内容を1文で説明する description を付ける
+11. 状態・進捗の単一選択があるテーブルには kanban、開始日と終了日があるテーブルには gantt、外部から入力を受け付けるテーブルには form のように、業務で使うビューを views で提案する（filters のフィールド名は同じテーブルのものを正確に指定する）\${existingStructure ? buildExtensionPrompt(existingStructure) : ''}\`;
+
+    // 会話の履歴（応答に誤りがあれば、前回の出力と誤りの内容を追加して修正を依頼する）
+    const messages = [{ role: 'user', content: enhancedUserPrompt }];
     let lastError = null;
+    // 補正できる誤りのみを含むスキーマ（修正されなければ、normalizeSchema で補正して使用する）
+    let usableSchema = null;
     
-    // 最大5回までリトライ（完全改善版）
+    // 最大5回まで試行（通信エラーは同じ内容で送り直し、応答の誤りはAIに修正させる）
     for (let attempt = 1; attempt <= 5; attempt++) {
+        let rawText;
         try {
-            const response = await fetch(apiUrl, { 
+            const { url, headers, body } = definition.buildRequest(provider, systemPrompt, messages);
+            const response = await fetch(url, { 
                 method: 'POST', 
-                headers: { 'Content-Type': 'application/json' }, 
-                body: JSON.stringify(payload) 
+                headers: { 'Content-Type': 'application/json', ...headers }, 
+                body: JSON.stringify(body) 
             });
             
             if (!response.ok) {
                 const errorText = await response.text();
-                throw new Error(\`Gemini API HTTP Error \${response.status}: \${errorText}\`);
+                throw new Error(\`\${definition.label} API HTTP Error \${response.status}: \${errorText}\`);
             }
             
             const result = await response.json();
+            rawText = definition.extractText(result);
 
-            if (!result.candidates?.[0]?.content?.parts?.[0]?.text) {
-                console.error(\`Gemini API Error (Attempt \${attempt}):\`, JSON.stringify(result, null, 2));
+            if (!rawText) {
+                console.error(\`\${definition.label} API Error (Attempt \${attempt}):\`, JSON.stringify(result, null, 2));
                 throw new Error(\`AIからの応答が不正です。(試行 \${attempt}/5)\`);
             }
-            
-            let rawText = result.candidates[0].content.parts[0].text;
-            let parsedData = null;
-
-            // 複数の方法でJSONパースを試行（完全改善版）
-            try {
-                // 方法1: 直接パース
-                parsedData = JSON.parse(rawText);
-            } catch (e1) {
-                try {
-                    // 方法2: マークダウンコードブロックから抽出
-                    const jsonMatch = rawText.match(/\`\`\`json\\s*([\\s\\S]*?)\\s*\`\`\`/);
-                    if (jsonMatch && jsonMatch[1]) {
-                        parsedData = JSON.parse(jsonMatch[1]);
-                    }
-                } catch (e2) {
-                    try {
-                        // 方法3: 最初と最後の{}を見つけて抽出
-                        const firstBrace = rawText.indexOf('{');
-                        const lastBrace = rawText.lastIndexOf('}');
-                        if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                            const jsonText = rawText.substring(firstBrace, lastBrace + 1);
-                            parsedData = JSON.parse(jsonText);
-                        }
-                    } catch (e3) {
-                        throw new Error(\`JSONパースに失敗しました: \${e1.message}\`);
-                    }
-                }
-            }
-            
-            if (!parsedData) {
-                throw new Error('有効なJSONデータを抽出できませんでした。');
-            }
-            
-            // データ検証（強化版）
-            if (!parsedData.baseName || !parsedData.tables || !Array.isArray(parsedData.tables)) {
-                throw new Error('AIの応答形式が不正です。必要なフィールドが不足しています。');
-            }
-            
-            if (parsedData.tables.length === 0) {
-                throw new Error('テーブルが生成されませんでした。指示内容をより具体的にしてください。');
-            }
-            
-            // 成功時は即座に結果を返す
-            return parsedData;
-
         } catch (e) {
             console.error(\`Attempt \${attempt} failed:\`, e.message);
             lastError = e;
@@ -1168,51 +5831,194 @@ async function generateSchemaFromAI(userPrompt, apiKey) {
                 // 指数バックオフでリトライ間隔を調整
                 await sleep(1000 * Math.pow(2, attempt - 1));
             }
+            continue;
+        }
+
+        const { schema, errors } = parseGeneratedSchema(rawText);
+        if (errors.length === 0) {
+            // 成功時は即座に結果を返す
+            return schema;
+        }
+
+        if (schema) {
+            // 補正できる誤りの修正は1回だけ依頼し、直らなければそのまま使用する
+            if (usableSchema) {
+                return schema;
+            }
+            usableSchema = schema;
         }
+
+        // 誤りの内容を伝えて、同じ会話の中で修正してもらう
+        console.error(\`Attempt \${attempt} returned an invalid schema:\`, errors.join(' / '));
+        lastError = new Error(errors[0]);
+        messages.push(
+            { role: 'assistant', content: rawText },
+            { role: 'user', content: buildRepairPrompt(errors) }
+        );
     }
     
+    if (usableSchema) {
+        return usableSchema;
+    }
+
     // すべてのリトライに失敗した場合
     console.error("すべてのリトライに失敗しました。最後のエラー:", lastError);
     throw new Error(\`AI処理に失敗しました: \${lastError.message}。指示内容をより具体的にするか、しばらく時間をおいて再試行してください。\`);
 }
 
+/**
+ * AIの応答テキストからスキーマを取り出して検証する
+ * 戻り値: { schema, errors }（errors が空でなければ、修正を依頼する誤りの一覧）
+ * Base名・テーブルが無い場合の schema は null です。名前の重複や未対応のタイプなど normalizeSchema で補正できる誤りのみの場合は、
+ * 修正されなかったときにそのまま使用できるよう schema も返します。
+ */
+function parseGeneratedSchema(rawText) {
+    let parsedData = null;
+
+    // 複数の方法でJSONパースを試行（完全改善版）
+    try {
+        // 方法1: 直接パース
+        parsedData = JSON.parse(rawText);
+    } catch (e1) {
+        try {
+            // 方法2: マークダウンコードブロックから抽出
+            const jsonMatch = rawText.match(/\`\`\`(?:json)?\\s*([\\s\\S]*?)\\s*\`\`\`/);
+            if (jsonMatch && jsonMatch[1]) {
+                parsedData = JSON.parse(jsonMatch[1]);
+            }
+        } catch (e2) {
+            parsedData = null;
+        }
+        if (!parsedData) {
+            try {
+                // 方法3: 最初と最後の{}を見つけて抽出（前後に説明文が付くローカルモデル等の応答向け）
+                const firstBrace = rawText.indexOf('{');
+                const lastBrace = rawText.lastIndexOf('}');
+                if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+                    parsedData = JSON.parse(rawText.substring(firstBrace, lastBrace + 1));
+                }
+            } catch (e3) {
+                return { schema: null, errors: [\`JSONとして解釈できません: \${e1.message}\`] };
+            }
+        }
+    }
+
+    if (!parsedData) {
+        return { schema: null, errors: ['応答にJSONオブジェクトが含まれていません。'] };
+    }
+
+    // 形式の誤りに加え、対応していないフィールドタイプも修正を依頼する
+    const errors = validateSchemaInput(parsedData);
+    const typeErrors = [];
+    (Array.isArray(parsedData.tables) ? parsedData.tables : []).forEach(table => {
+        (Array.isArray(table?.fields) ? table.fields : []).forEach(field => {
+            if (field && typeof field === 'object' && field.type && !normalizeFieldType(field.type)) {
+                typeErrors.push(\`「\${table.name}.\${field.name}」のタイプ「\${field.type}」は使用できません。\`);
+            }
+        });
+    });
+    const usable = typeof parsedData.baseName === 'string' && parsedData.baseName.trim() &&
+        Array.isArray(parsedData.tables) && parsedData.tables.length > 0;
+    return { schema: usable ? parsedData : null, errors: [...errors, ...typeErrors] };
+}
+
+/**
+ * 検証で見つかった誤りの修正を依頼する指示
+ */
+function buildRepairPrompt(errors) {
+    const shown = errors.slice(0, 20);
+    return [
+        '前回の出力には次の誤りがありました。すべて修正し、スキーマ全体をJSONオブジェクトのみで出力し直してください。',
+        ...shown.map(error => \`- \${error}\`),
+        ...(errors.length > shown.length ? [\`- ほか\${errors.length - shown.length}件\`] : []),
+        \`使用できるフィールドタイプ: \${Object.keys(FIELD_TYPE_LABELS).filter(type => !MANUAL_FIELD_TYPES.includes(type)).join(', ')}\`
+    ].join('\\n');
+}
+
+/**
+ * 既存Baseに追加する場合の設計指示（現在のテーブル・フィールド構成を含む）
+ */
+function buildExtensionPrompt(structure) {
+    const tableLines = Object.entries(structure)
+        .map(([tableName, table]) => \`- \${tableName}: \${Object.keys(table.fields).join(', ')}\`)
+        .join('\\n');
+
+    return \`
+
+既存のBaseの構成（テーブル名: フィールド名）：
+\${tableLines || '- （テーブルなし）'}
+
+既存のBaseへの追加に関する注意点：
+- このBaseに追加するテーブル・フィールドだけを設計し、既存のテーブル・フィールドは出力しない
+- 既存テーブルにフィールドを追加する場合は、そのテーブル名で追加するフィールドだけを出力する（sampleDataCount は 0）
+- 新しいテーブル名・フィールド名は既存のものと重複させない
+- 既存テーブルを参照する場合は options.linkTable に既存のテーブル名をそのまま指定してよい\`;
+}
+
 /**
  * Lark API呼び出し（完全改善版）
  */
 async function apiCall(token, path, options = {}) {
     const { method = 'GET', body = null, retries = 3 } = options;
+    // 構築中にトークンを取得し直していれば、新しいトークンで送る
+    let currentToken = resolveTenantAccessToken(token);
+    // 接続先（リージョン）はトークンを取得したLarkアプリに合わせる
+    const larkApp = getTokenLarkApp(currentToken);
+    // 同じLarkアプリへのリクエストは、すべて共通のスケジューラーで送信間隔を調整する
+    const limiter = getLarkRateLimiter(larkApp.appId ? \`\${larkApp.region}:\${larkApp.appId}\` : currentToken);
+    // レート制限による送り直しは、通常のリトライ回数とは別に数える
+    let rateLimitRetries = 0;
+    // トークンの取得し直しは1回まで
+    let tokenRenewed = false;
     
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            const response = await fetch(\`\${LARK_API_URL}\${path}\`, {
+            await limiter.take();
+            const response = await fetch(\`\${larkApp.apiUrl}\${path}\`, {
                 method,
                 headers: { 
-                    'Authorization': \`Bearer \${token}\`, 
+                    'Authorization': \`Bearer \${currentToken}\`, 
                     'Content-Type': 'application/json',
                 },
                 body: body ? JSON.stringify(body) : null,
             });
             
-            if (!response.ok) {
-                if (response.status === 429) {
-                    // Rate limit - 指数バックオフで待機
-                    const waitTime = 1000 * Math.pow(2, attempt);
-                    console.warn(\`Rate limit hit, waiting \${waitTime}ms before retry \${attempt}/\${retries}\`);
-                    await sleep(waitTime);
-                    continue;
-                }
+            // Rate limit - サーバーが示す待機時間（無ければ指数バックオフ）の間、このアプリのリクエストをすべて止める
+            const data = response.status === 429 ? null : await response.json().catch(() => null);
+            if ((response.status === 429 || data?.code === 99991400) && rateLimitRetries < MAX_RATE_LIMIT_RETRIES) {
+                const waitTime = getRateLimitWait(response, rateLimitRetries++);
+                console.warn(\`Rate limit hit, waiting \${waitTime}ms before retry \${rateLimitRetries}/\${MAX_RATE_LIMIT_RETRIES}\`);
+                limiter.pause(waitTime);
+                attempt--;
+                continue;
+            }
+
+            if (!response.ok && typeof data?.code !== 'number') {
                 throw new Error(\`HTTP \${response.status}: \${response.statusText}\`);
             }
+            if (!data) {
+                throw new Error(\`Lark API Error: 応答を解釈できません (Path: \${path})\`);
+            }
             
-            const data = await response.json();
-            
-            if (data.code !== 0) {
-                if (data.code === 99991400 && attempt < retries) {
-                    // Rate limit error - リトライ
-                    await sleep(1000 * attempt);
+            // トークンが無効・期限切れの場合は、取得し直して1回だけ送り直す
+            if (INVALID_TOKEN_CODES.includes(data.code) && !tokenRenewed) {
+                tokenRenewed = true;
+                const renewed = await renewTenantAccessToken(currentToken);
+                if (renewed && renewed !== currentToken) {
+                    console.warn(\`Tenant access token was rejected (Code: \${data.code}), retrying with a new token\`);
+                    currentToken = renewed;
+                    attempt--;
                     continue;
                 }
-                throw new Error(\`Lark API Error: \${data.msg} (Code: \${data.code}, Path: \${path})\`);
+            }
+
+            // HTTPエラーでもLarkのエラーコードが返っていれば、その内容を報告する
+            if (data.code !== 0) {
+                const apiError = new Error(\`Lark API Error: \${data.msg} (Code: \${data.code}, Path: \${path})\`);
+                // 構築結果の報告用に、Larkのエラーコードとメッセージを保持する
+                apiError.code = data.code;
+                apiError.msg = data.msg;
+                throw apiError;
             }
             
             return data;
@@ -1227,17 +6033,65 @@ async function apiCall(token, path, options = {}) {
     }
 }
 
-async function getTenantAccessToken(env) {
-    if (!env.LARK_APP_ID || !env.LARK_APP_SECRET) {
-        throw new Error('Lark API credentials are not configured.');
+// テナントアクセストークンのキャッシュ（リージョンとLarkアプリIDごと。同じIsolate内のリクエストで共有する）
+const tenantTokenCache = new Map();
+
+// 取得したトークン → { app, expiresAt }（接続先の決定と、無効になったときに取得し直すため。app に認証情報は含めない）
+const tenantTokenSources = new Map();
+
+// 取得し直したトークン: 無効になったトークン → { token: 新しいトークン, expiresAt }（構築中の後続リクエストも新しいトークンで送る）
+const renewedTenantTokens = new Map();
+
+// トークンを取得し直すための認証情報（「リージョン:アプリID」→ { appSecret, kv }。設定されたLarkアプリごとに1件）
+const larkAppCredentials = new Map();
+
+// 有効期限のこの秒数前になったら、キャッシュを使わずに取得し直す
+const TOKEN_REFRESH_MARGIN_SECONDS = 300;
+
+// 期限切れのトークンの記録を残す秒数（構築中のリクエストが期限切れに気付いて取得し直せるようにする）
+const EXPIRED_TOKEN_GRACE_SECONDS = 600;
+
+// トークンが無効・期限切れの場合にLarkが返すエラーコード
+const INVALID_TOKEN_CODES = [99991661, 99991663, 99991664, 99991668];
+
+/**
+ * テナントアクセストークンを取得する
+ * region / appId で使用するLarkアプリを選びます（resolveLarkApp を参照）。
+ * メモリ上のキャッシュ、TOKEN_CACHE（KV Namespace）がバインドされていればKVの順に探し、
+ * 有効期限が近い場合や forceRefresh の場合はLarkから取得し直します。
+ */
+async function getTenantAccessToken(env, { region, appId, forceRefresh = false } = {}) {
+    const app = resolveLarkApp(env, { region, appId });
+    const kv = env.TOKEN_CACHE;
+    const cacheKey = \`tenant_token:\${app.region}:\${app.appId}\`;
+    const isFresh = entry => entry && entry.expiresAt - TOKEN_REFRESH_MARGIN_SECONDS * 1000 > Date.now();
+    larkAppCredentials.set(\`\${app.region}:\${app.appId}\`, { appSecret: app.appSecret, kv });
+
+    if (!forceRefresh) {
+        let cached = tenantTokenCache.get(cacheKey);
+        if (!isFresh(cached) && kv) {
+            cached = await kv.get(cacheKey, 'json').catch(() => null);
+        }
+        if (isFresh(cached)) {
+            tenantTokenCache.set(cacheKey, cached);
+            rememberTenantToken(cached, app);
+            return cached.token;
+        }
     }
-    
-    const response = await fetch(\`\${LARK_API_URL}/auth/v3/tenant_access_token/internal\`, {
+    return requestTenantAccessToken(app, kv);
+}
+
+/**
+ * Larkからテナントアクセストークンを取得し、メモリ上のキャッシュとKVに保存する
+ */
+async function requestTenantAccessToken(app, kv) {
+    const cacheKey = \`tenant_token:\${app.region}:\${app.appId}\`;
+    const response = await fetch(\`\${app.apiUrl}/auth/v3/tenant_access_token/internal\`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
-            app_id: env.LARK_APP_ID, 
-            app_secret: env.LARK_APP_SECRET 
+            app_id: app.appId, 
+            app_secret: app.appSecret 
         }),
     });
     
@@ -1250,7 +6104,133 @@ async function getTenantAccessToken(env) {
         throw new Error(\`Failed to get tenant access token: \${data.msg}\`);
     }
     
-    return data.tenant_access_token;
+    // expire は残りの有効期間（秒）
+    const entry = { token: data.tenant_access_token, expiresAt: Date.now() + (Number(data.expire) || 0) * 1000 };
+    tenantTokenCache.set(cacheKey, entry);
+    rememberTenantToken(entry, app);
+
+    const ttl = Math.floor((entry.expiresAt - Date.now()) / 1000) - TOKEN_REFRESH_MARGIN_SECONDS;
+    if (kv && ttl >= 60) {
+        try {
+            await kv.put(cacheKey, JSON.stringify(entry), { expirationTtl: ttl });
+        } catch (error) {
+            console.warn('Failed to cache tenant access token:', error.message);
+        }
+    }
+    return entry.token;
+}
+
+/**
+ * 無効・期限切れになったトークンを取得し直す（取得できなければ null）
+ * 並行する他のリクエストが既に取得し直していれば、そのトークンを返します。
+ */
+async function renewTenantAccessToken(token) {
+    const source = tenantTokenSources.get(token);
+    const credentials = source && larkAppCredentials.get(\`\${source.app.region}:\${source.app.appId}\`);
+    if (!credentials) {
+        return null;
+    }
+    const { app } = source;
+    const cached = tenantTokenCache.get(\`tenant_token:\${app.region}:\${app.appId}\`);
+    const renewed = cached && cached.token !== token
+        ? cached.token
+        : await requestTenantAccessToken({ ...app, appSecret: credentials.appSecret }, credentials.kv);
+    if (renewed !== token) {
+        const expiresAt = tenantTokenSources.get(renewed)?.expiresAt ?? Date.now();
+        // 以前に取得し直した古いトークンも、最新のトークンに直接置き換える
+        for (const [previous, entry] of renewedTenantTokens) {
+            if (entry.token === token) {
+                renewedTenantTokens.set(previous, { token: renewed, expiresAt });
+            }
+        }
+        renewedTenantTokens.set(token, { token: renewed, expiresAt });
+    }
+    return renewed;
+}
+
+/**
+ * 取得したトークンと接続先（認証情報を除く）を記録し、期限切れの記録を取り除く
+ * 記録は有効期限から EXPIRED_TOKEN_GRACE_SECONDS 経過するまで残します。
+ */
+function rememberTenantToken(entry, app) {
+    const { appSecret, ...publicApp } = app;
+    const threshold = Date.now() - EXPIRED_TOKEN_GRACE_SECONDS * 1000;
+    for (const [token, source] of tenantTokenSources) {
+        if (source.expiresAt < threshold) tenantTokenSources.delete(token);
+    }
+    for (const [token, renewed] of renewedTenantTokens) {
+        if (renewed.expiresAt < threshold) renewedTenantTokens.delete(token);
+    }
+    tenantTokenSources.set(entry.token, { app: publicApp, expiresAt: entry.expiresAt });
+}
+
+/**
+ * 取得し直したトークンがあれば、最新のトークンに置き換える
+ */
+function resolveTenantAccessToken(token) {
+    return renewedTenantTokens.get(token)?.token || token;
+}
+
+/**
+ * トークンを取得したLarkアプリ（接続先）を返す（不明な場合は既定のLarkリージョン）
+ */
+function getTokenLarkApp(token) {
+    const source = tenantTokenSources.get(resolveTenantAccessToken(token));
+    return source ? source.app : { region: 'lark', appId: null, ...LARK_REGIONS.lark };
+}
+
+/**
+ * 進捗イベント・ビルド記録に残す接続先（再試行時に同じLarkアプリを使うため）
+ */
+function describeLarkApp(token) {
+    const app = getTokenLarkApp(token);
+    return { region: app.region, larkAppId: app.appId };
+}
+
+/**
+ * app_token からBaseを開くURLを組み立てる（LarkがURLを返さない場合に使用）
+ */
+function getBaseUrl(token, appToken) {
+    return \`\${getTokenLarkApp(token).webUrl}/base/\${appToken}\`;
+}
+
+/**
+ * ページングされた一覧APIから全件を取得する
+ */
+async function listAllItems(token, path) {
+    const items = [];
+    let pageToken = '';
+    do {
+        const query = \`page_size=100\${pageToken ? \`&page_token=\${encodeURIComponent(pageToken)}\` : ''}\`;
+        const res = await apiCall(token, \`\${path}?\${query}\`);
+        items.push(...(res.data?.items || []));
+        pageToken = res.data?.has_more ? res.data.page_token : '';
+    } while (pageToken);
+    return items;
+}
+
+/**
+ * テーブル作成時にLarkが追加する既定のフィールドと空のレコードを削除する
+ * defaultFields には削除するフィールド（主フィールド以外）を渡します。
+ */
+async function removeTableDefaults(token, appToken, tableId, defaultFields) {
+    const tablePath = \`/base/v1/apps/\${appToken}/tables/\${tableId}\`;
+    for (const field of defaultFields) {
+        await apiCall(token, \`\${tablePath}/fields/\${field.field_id}\`, { method: 'DELETE' });
+    }
+
+    const records = await listAllItems(token, \`\${tablePath}/records\`);
+    const emptyRecordIds = records
+        .filter(record => Object.keys(record.fields || {}).length === 0)
+        .map(record => record.record_id);
+    for (const batch of chunkRecords(emptyRecordIds, 500)) {
+        await apiCall(token, \`\${tablePath}/records/batch_delete\`, {
+            method: 'POST',
+            body: { records: batch }
+        });
+    }
+
+    return { fieldsRemoved: defaultFields.length, recordsRemoved: emptyRecordIds.length };
 }
 
 async function createBaseApp(token, baseName) {
@@ -1260,80 +6240,291 @@ async function createBaseApp(token, baseName) {
     });
 }
 
-async function addSampleRecords(token, appToken, tableId, fields, count) {
+async function addSampleRecords(token, appToken, tableId, fields, count, onBatch = () => {}, startIndex = 0) {
     if (count <= 0 || fields.length === 0) {
         return { data: { records: [] } };
     }
     
-    const records = [];
-    for (let i = 0; i < count; i++) {
-        const recordFields = {};
-        for (const field of fields) {
-            const dummyData = generateDummyData(field.type, field.options || {}, i);
-            if (dummyData !== null) {
-                recordFields[field.name] = dummyData;
-            }
-        }
-        if (Object.keys(recordFields).length > 0) {
-            records.push({ fields: recordFields });
-        }
-    }
+    const records = buildSampleRecords(fields, count, startIndex);
     
     if (records.length === 0) {
         return { data: { records: [] } };
     }
     
-    // バッチサイズを制限（一度に最大10件）
-    const batchSize = 10;
+    return addRecords(token, appToken, tableId, records, onBatch);
+}
+
+/**
+ * レコードをバッチに分けて追加する（バッチごとに onBatch へ結果を通知）
+ */
+async function addRecords(token, appToken, tableId, records, onBatch = () => {}, batchSize = 10) {
+    const batches = chunkRecords(records, batchSize);
     const allResults = [];
     
-    for (let i = 0; i < records.length; i += batchSize) {
-        const batch = records.slice(i, i + batchSize);
+    for (let i = 0; i < batches.length; i++) {
         try {
             const result = await apiCall(token, \`/base/v1/apps/\${appToken}/tables/\${tableId}/records/batch_create\`, {
                 method: 'POST',
-                body: { records: batch },
+                body: { records: batches[i] },
+            });
+            const created = result.data?.records || [];
+            allResults.push(...created);
+            onBatch({
+                batch: i + 1,
+                totalBatches: batches.length,
+                count: batches[i].length,
+                status: 'done',
+                recordIds: created.map(record => record.record_id)
             });
-            allResults.push(...(result.data?.records || []));
-            
-            // バッチ間で少し待機
-            if (i + batchSize < records.length) {
-                await sleep(500);
-            }
         } catch (error) {
-            console.warn(\`Failed to create batch \${Math.floor(i/batchSize) + 1}:\`, error.message);
+            console.warn(\`Failed to create batch \${i + 1}:\`, error.message);
+            onBatch({ batch: i + 1, totalBatches: batches.length, count: batches[i].length, status: 'failed', error: error.message });
         }
     }
     
     return { data: { records: allResults } };
 }
 
-function getFieldProperty(type, options) {
-    const getOptions = (key = 'オプション') => {
-        const opts = options[key];
-        if (typeof opts === 'string' && opts) {
-            return opts.split(',').map(o => ({ name: o.trim() })).filter(o => o.name);
+/**
+ * サンプルレコードのリンクフィールドに、リンク先テーブルのサンプルレコードを設定する
+ * 戻り値は更新したレコード数です。
+ */
+async function linkSampleRecords(token, appToken, tableId, recordIds, linkFields, recordIdsByTable) {
+    const batches = chunkRecords(buildLinkUpdates(recordIds, linkFields, recordIdsByTable));
+    let linked = 0;
+
+    for (let i = 0; i < batches.length; i++) {
+        try {
+            const result = await apiCall(token, \`/base/v1/apps/\${appToken}/tables/\${tableId}/records/batch_update\`, {
+                method: 'POST',
+                body: { records: batches[i] },
+            });
+            linked += result.data?.records?.length || 0;
+        } catch (error) {
+            console.warn(\`Failed to link batch \${i + 1}:\`, error.message);
         }
-        return [];
+    }
+
+    return linked;
+}
+
+/**
+ * 各レコードに対し、リンク先テーブルのレコードを順番に割り当てた更新内容を作成する
+ */
+function buildLinkUpdates(recordIds, linkFields, recordIdsByTable) {
+    return recordIds.map((recordId, index) => {
+        const fields = {};
+        for (const field of linkFields) {
+            const targetIds = recordIdsByTable[field.options?.linkTable] || [];
+            if (targetIds.length > 0) {
+                fields[field.name] = [targetIds[index % targetIds.length]];
+            }
+        }
+        return { record_id: recordId, fields };
+    }).filter(update => Object.keys(update.fields).length > 0);
+}
+
+/**
+ * フィールド定義からサンプルレコードを生成する
+ * startIndex を指定すると、その番号から続きのサンプルデータを生成します。
+ */
+function buildSampleRecords(fields, count, startIndex = 0) {
+    const records = [];
+    for (let i = startIndex; i < startIndex + count; i++) {
+        const recordFields = {};
+        for (const field of fields) {
+            const dummyData = generateDummyData(field.type, field.options || {}, i);
+            if (dummyData !== null) {
+                recordFields[field.name] = dummyData;
+            }
+        }
+        if (Object.keys(recordFields).length > 0) {
+            records.push({ fields: recordFields });
+        }
+    }
+    return records;
+}
+
+/**
+ * レコードをバッチサイズごとに分割する（一度に最大10件）
+ */
+function chunkRecords(records, batchSize = 10) {
+    const batches = [];
+    for (let i = 0; i < records.length; i += batchSize) {
+        batches.push(records.slice(i, i + batchSize));
+    }
+    return batches;
+}
+
+/**
+ * 小数点以下の桁数の表示形式（例: 2 → ".00"）
+ */
+function decimalPlaces(precision) {
+    return precision > 0 ? \`.\${'0'.repeat(precision)}\` : '';
+}
+
+/**
+ * 通貨フィールドの小数点以下の桁数（指定が無ければ通貨に合わせて0桁または2桁）
+ */
+function getCurrencyPrecision(options) {
+    if (Number.isInteger(options.precision)) {
+        return options.precision;
+    }
+    return ZERO_DECIMAL_CURRENCIES.includes(options.currencyCode || 'JPY') ? 0 : 2;
+}
+
+/**
+ * 数値フィールドの表示形式（Larkの formatter。パーセント表示は 0% / 0.00% のみ）
+ */
+function getNumberFormatter(options) {
+    const precision = Number.isInteger(options.precision) ? options.precision : 0;
+    if (options.percentage === true) {
+        return precision > 0 ? '0.00%' : '0%';
+    }
+    return \`0\${decimalPlaces(precision)}\`;
+}
+
+/**
+ * 自動採番の番号の規則（接頭辞・作成日・連番の順。指定が無ければ単純な連番）
+ */
+function getAutoSerial(options) {
+    if (!options.prefix && !options.dateFormat && !options.digits) {
+        return { type: 'auto_increment_number' };
+    }
+    return {
+        type: 'custom',
+        options: [
+            ...(options.prefix ? [{ type: 'fixed_text', value: options.prefix }] : []),
+            ...(options.dateFormat ? [{ type: 'created_time', value: options.dateFormat }] : []),
+            { type: 'system_number', value: String(options.digits || 3) }
+        ]
+    };
+}
+
+/**
+ * 選択肢の一覧（[{ name, color }]）を取り出す
+ * options.choices のほか、以前の形式の options['オプション']（カンマ・読点区切りの文字列）も読み込みます。
+ */
+function getSelectChoices(options = {}) {
+    const source = options.choices ?? options['オプション'];
+    const items = Array.isArray(source) ? source : (typeof source === 'string' ? source.split(/[,，、]/) : []);
+    return items.map(item => {
+        if (item && typeof item === 'object') {
+            const color = item.color === undefined || item.color === null || item.color === '' ? undefined : Number(item.color);
+            return { name: String(item.name ?? '').trim(), ...(color !== undefined ? { color } : {}) };
+        }
+        return { name: String(item ?? '').trim() };
+    }).filter(choice => choice.name);
+}
+
+/**
+ * フィールドの説明（Larkの description）
+ */
+function getFieldDescription(field) {
+    return field.description ? { disable_sync: true, text: field.description } : undefined;
+}
+
+/**
+ * ビューのフィルター条件（[{ field, operator, value }]）をLarkの filter_info に変換する
+ * getField(フィールド名) はLarkのフィールド（{ field_id, property }）を返します。
+ * 選択肢の値は名前から option id に置き換えます（見つからない場合は名前のまま送る）。
+ */
+function getViewFilterInfo(filters, getField) {
+    return {
+        conjunction: 'and',
+        conditions: filters.map(filter => {
+            const field = getField(filter.field) || {};
+            const options = field.property?.options || [];
+            const values = (filter.value || []).map(value => options.find(option => option.name === value)?.id || value);
+            return {
+                field_id: field.field_id,
+                operator: filter.operator,
+                ...(VALUELESS_FILTER_OPERATORS.includes(filter.operator) ? {} : { value: JSON.stringify(values) })
+            };
+        })
     };
+}
+
+/**
+ * ビューのフィルター条件を「状態 is 対応中 かつ …」の形式で表す
+ */
+function describeViewFilters(filters) {
+    const conditions = filters.map(filter => [filter.field, filter.operator, ...(filter.value ? [filter.value.join(' / ')] : [])].join(' '));
+    return \`フィルター: \${conditions.join(' かつ ')}\`;
+}
+
+/**
+ * LarkのビューAPIでは設定できないビューの設定（グループ化・日付・並べ替え）を、画面で設定する項目として返す
+ */
+function describeManualViewSettings(view) {
+    const settings = [];
+    if (view.groupBy) {
+        settings.push(\`グループ化: \${view.groupBy}\`);
+    }
+    if (view.dateField) {
+        settings.push(view.endDateField ? \`期間: \${view.dateField} 〜 \${view.endDateField}\` : \`日付: \${view.dateField}\`);
+    }
+    if (view.sorts) {
+        settings.push(\`並べ替え: \${view.sorts.map(sort => \`\${sort.field}（\${sort.desc ? '降順' : '昇順'}）\`).join('、')}\`);
+    }
+    return settings;
+}
+
+function getFieldProperty(type, options, context = {}) {
+    const { tableIds = {} } = context;
+    const getOptions = () => getSelectChoices(options);
     
     const typeMap = {
         'text': { type: 1 },
-        'number': { type: 2, property: { formatter: '0' } },
+        // Larkのテキストフィールドは1種類のため、複数行テキストはスキーマ上の別名（エクスポートでは text になる）
+        'multiline_text': { type: 1 },
+        'number': { type: 2, property: { formatter: getNumberFormatter(options) } },
         'single_select': { type: 3, property: { options: getOptions() } },
         'multi_select': { type: 4, property: { options: getOptions() } },
-        'date': { type: 5, property: { date_formatter: 'yyyy/MM/dd' } },
-        'date_time': { type: 5, property: { date_formatter: 'yyyy/MM/dd HH:mm' } },
+        'date': { type: 5, property: { date_formatter: options.dateFormat || 'yyyy/MM/dd' } },
+        'date_time': { type: 5, property: { date_formatter: options.dateFormat || 'yyyy/MM/dd HH:mm' } },
         'checkbox': { type: 7 },
-        'member': { type: 11, property: { multiple: false } },
+        'member': { type: 11, property: { multiple: options.multiple === true } },
         'phone': { type: 13 },
         'url': { type: 15 },
-        'email': { type: 23 },
-        'currency': { type: 25, property: { currency_code: 'JPY', formatter: '#,##0' } },
-        'rating': { type: 26, property: { symbol: 'star' } },
+        'email': { type: 1, ui_type: 'Email' },
+        'currency': { 
+            type: 2, 
+            ui_type: 'Currency',
+            property: { formatter: \`0\${decimalPlaces(getCurrencyPrecision(options))}\`, currency_code: options.currencyCode || 'JPY' } 
+        },
+        'rating': { type: 2, ui_type: 'Rating', property: { formatter: '0', min: 1, max: options.max || 5, rating: { symbol: options.symbol || 'star' } } },
+        'progress': { type: 2, ui_type: 'Progress', property: { formatter: '0%', min: 0, max: 1, range_customize: false } },
+        'barcode': { type: 1, ui_type: 'Barcode' },
+        'attachment': { type: 17 },
+        'location': { type: 22, property: { location_type: 'not_limit' } },
+        'group_chat': { type: 23, ui_type: 'GroupChat', property: { multiple: options.multiple === true } },
+        'auto_number': { type: 1005, property: { auto_serial: getAutoSerial(options) } },
+        'created_time': { type: 1001, property: { date_formatter: options.dateFormat || 'yyyy/MM/dd HH:mm' } },
+        'modified_time': { type: 1002, property: { date_formatter: options.dateFormat || 'yyyy/MM/dd HH:mm' } },
+        'created_by': { type: 1003 },
+        'modified_by': { type: 1004 },
+        'link': { type: 18, property: { table_id: tableIds[options.linkTable], multiple: true } },
+        'duplex_link': { 
+            type: 21, 
+            property: { table_id: tableIds[options.linkTable], back_field_name: options.backFieldName, multiple: true } 
+        },
     };
     
+    // 数式フィールドは参照先のIDを解決して作成（参照・集計は作成しない。MANUAL_FIELD_TYPES を参照）
+    if (type.toLowerCase() === 'formula') {
+        return { type: 20, property: { formula_expression: buildFormulaExpression(options, context) } };
+    }
+    
     const result = typeMap[type.toLowerCase()];
+    if (!result) {
+        return undefined;
+    }
+
+    // リンクフィールドはリンク先テーブルが解決できなければ作成できない
+    if (result && (result.type === 18 || result.type === 21) && !result.property.table_id) {
+        throw new Error(\`リンク先テーブル「\${options.linkTable || ''}」が見つかりません。\`);
+    }
     
     // 選択肢が必要なフィールドで選択肢が空の場合はデフォルト値を設定
     if ((type === 'single_select' || type === 'multi_select') && 
@@ -1350,19 +6541,36 @@ function getFieldProperty(type, options) {
 
 function generateDummyData(type, options, index) {
     const i = index + 1;
-    const selectOptions = (options['オプション'] || '').split(',').map(s => s.trim()).filter(s => s);
+    const selectOptions = getSelectChoices(options).map(choice => choice.name);
+    
+    // 作成日時・自動採番などLarkが値を設定するフィールドには書き込まない
+    if (SYSTEM_FIELD_TYPES.includes(type.toLowerCase())) {
+        return null;
+    }
     
     switch (type.toLowerCase()) {
         case 'text': 
             return \`サンプル\${i}\`;
+        case 'multiline_text':
+            return \`サンプル\${i}の説明\\n2行目のメモ\`;
+        case 'barcode':
+            return \`49000000\${String(i).padStart(5, '0')}\`;
+        case 'progress':
+            return (index % 10 + 1) / 10;
+        case 'location':
+            // 経度,緯度（東京駅の周辺）
+            return \`\${(139.7671 + index * 0.001).toFixed(6)},\${(35.6812 + index * 0.001).toFixed(6)}\`;
         case 'email': 
             return \`sample\${i}@example.com\`;
         case 'phone': 
             return \`090-1234-567\${index % 10}\`;
         case 'number': 
-            return 100 + (i * 50);
+            if (options.percentage === true) {
+                return (index % 10 + 1) / 10;
+            }
+            return Number((100 + (i * 50) + (options.precision > 0 ? i / 4 : 0)).toFixed(options.precision || 0));
         case 'currency': 
-            return 10000 * i;
+            return getCurrencyPrecision(options) === 0 ? 10000 * i : Number((100 * i + 0.5).toFixed(getCurrencyPrecision(options)));
         case 'single_select': 
             if (selectOptions.length > 0) {
                 return selectOptions[index % selectOptions.length];
@@ -1384,17 +6592,18 @@ function generateDummyData(type, options, index) {
             return [\`オプション\${(index % 3) + 1}\`];
         case 'date': 
         case 'date_time':
-            // 過去30日から未来30日の範囲でランダムな日付
+            // 過去30日から未来30日の範囲の日付（プレビューと構築で同じ値になるよう、行番号から決める）
             const baseDate = new Date();
-            const randomDays = (Math.random() - 0.5) * 60; // -30 to +30 days
-            baseDate.setDate(baseDate.getDate() + randomDays);
+            baseDate.setUTCHours(0, 0, 0, 0);
+            const offsetDays = (index * 7) % 61 - 30; // -30 to +30 days
+            baseDate.setUTCDate(baseDate.getUTCDate() + offsetDays);
             return baseDate.getTime();
         case 'checkbox': 
             return i % 2 === 0;
         case 'url': 
             return \`https://example.com/item/\${i}\`;
         case 'rating': 
-            return (index % 5) + 1;
+            return (index % (options.max || 5)) + 1;
         default: 
             return null;
     }